@@ -1,60 +1,114 @@
+import {
+  SOURCE_SETTINGS_KEY,
+  resolveSources,
+  compileSources,
+  findSource,
+  classifyUrl,
+  sourceTitleFallback,
+  applyAccount
+} from './sources.js';
+import {
+  SETTINGS_KEY,
+  SELECTION_MEMORY_KEY,
+  GMAIL_ACCOUNTS_KEY,
+  MAIL_PROVIDERS_KEY,
+  MAIL_PROVIDERS,
+  SENDER_MAPPINGS_KEY,
+  ALIASES_KEY,
+  SEARCH_PROVIDERS_KEY,
+  DEFAULT_SETTINGS,
+  loadSettings,
+  loadMailProviders,
+  loadSenderMappings,
+  loadAliases,
+  loadSearchSettings,
+  resolveSearchProviders,
+  validateAliases,
+  validateSenderMappings,
+  validateSettings
+} from './settings.js';
+import { createSearchIndex } from './search-index.js';
+import {
+  initStorage,
+  loadItems,
+  loadCoOccurrence,
+  loadMeta,
+  saveItem,
+  deleteItem,
+  saveCoOccurrence,
+  deleteCoOccurrence,
+  clearCoOccurrence,
+  saveMeta,
+  flushWrites
+} from './storage.js';
+
 // --- word-based fuzzy subsequence matcher ---
 // Each word in the query must match as a subsequence in the target
 // Extra characters that don't match are penalized
 // Words that require too many jumps relative to their length are rejected
-const fuzzyScore = (q, t) => {
+// Returns { score, positions, jumps, extraCharPenalty }; positions are the matched
+// character indices in t
+const fuzzyMatch = (q, t) => {
   q = q.toLowerCase().trim(); t = t.toLowerCase();
-  if (!q) return -9999;
+  if (!q) return { score: -9999, positions: [] };
   
   // Split query into words
   const words = q.split(/\s+/).filter(w => w.length > 0);
-  if (words.length === 0) return -9999;
+  if (words.length === 0) return { score: -9999, positions: [] };
   
   let totalJumps = 0;
+  const positions = [];
   
   // For each word, find it as a subsequence anywhere in the target
   for (const word of words) {
     let wordMatched = false;
     let bestWordJumps = Infinity;
+    let bestWordPositions = [];
+    
+    // Reject matches where jumps are too high relative to word length
+    // Stricter threshold: jumps > word.length * 1.5 for better precision
+    // This prevents matching "somer" or "ian" across scattered characters in long content
+    // For very short words (<=3 chars), be even stricter (1.0x) to prevent false matches
+    const jumpThreshold = word.length <= 3 ? word.length * 1.0 : word.length * 1.5;
     
     // Try to find this word as a subsequence starting from each position
-    for (let startPos = 0; startPos < t.length; startPos++) {
+    // Only positions holding the word's first character can give the fewest jumps
+    for (let startPos = t.indexOf(word[0]); startPos !== -1; startPos = t.indexOf(word[0], startPos + 1)) {
       let wordJumps = 0;
       let wi = 0; // Index in word
+      const matched = [];
       
       for (let i = startPos; i < t.length && wi < word.length; i++) {
         if (t[i] === word[wi]) {
           wi++;
+          matched.push(i);
           if (wi === word.length) {
             // Word fully matched
             wordMatched = true;
-            bestWordJumps = Math.min(bestWordJumps, wordJumps);
+            if (wordJumps < bestWordJumps) {
+              bestWordJumps = wordJumps;
+              bestWordPositions = matched;
+            }
             break; // Found match starting at startPos, try next start position for better match
           }
         } else {
           wordJumps++;
+          // Stop scanning once this start can't beat the best match or the threshold,
+          // which keeps long content linear instead of quadratic
+          if (wordJumps > Math.min(bestWordJumps, jumpThreshold)) break;
         }
       }
+      
+      if (bestWordJumps === 0) break; // Can't do better than a contiguous match
     }
     
-    // If any word doesn't match, reject the entire match
+    // If any word doesn't match within the threshold, reject the entire match
     if (!wordMatched) {
-      // Debug: log when word doesn't match
-      console.log(`[Jumpware] Word "${word}" not found in target`);
-      return -Infinity;
-    }
-    
-    // Reject matches where jumps are too high relative to word length
-    // Stricter threshold: jumps > word.length * 1.5 for better precision
-    // This prevents matching "somer" or "ian" across scattered characters in long content
-    // For very short words (<=3 chars), be even stricter (1.0x) to prevent false matches
-    const jumpThreshold = word.length <= 3 ? word.length * 1.0 : word.length * 1.5;
-    if (bestWordJumps > jumpThreshold) {
-      console.log(`[Jumpware] Word "${word}" matched but with too many jumps: ${bestWordJumps} (threshold: ${jumpThreshold}, word length: ${word.length})`);
-      return -Infinity;
+      return { score: -Infinity, positions: [] };
     }
     
     totalJumps += bestWordJumps;
+    positions.push(...bestWordPositions);
   }
   
   // Calculate penalty for extra characters in query that don't contribute to matches
@@ -65,105 +119,416 @@ const fuzzyScore = (q, t) => {
   // Return score: fewer jumps + shorter targets + fewer extra chars rank higher
   const score = -totalJumps - t.length * 0.001 - extraCharPenalty * 0.1;
   
-  // Debug logging for problematic queries
-  if (q.includes('somerholder') || q.includes('sprunkus') || q.includes('somer')) {
-    console.log(`[Jumpware] Query: "${q}", Score: ${score}, Jumps: ${totalJumps}, Target length: ${t.length}, Target preview: "${t.substring(0, 100)}..."`);
-  }
-  
-  return score;
+  return { score, positions, jumps: totalJumps, extraCharPenalty };
 };
 
-// --- restrict to Docs + GitHub + Chrome URLs ---
-const HOST_ALLOW = /(^|\.)docs\.google\.com$|(^|\.)github\.com$/i;
+// --- restrict to enabled sources + Chrome URLs ---
+// Built-in sources until the stored source settings are loaded
+let sourceRegistry = compileSources(resolveSources(null));
 const isChromeUrl = (url) => url.startsWith('chrome://') || url.startsWith('chrome-extension://');
 
-// --- Match quality threshold ---
-// Matches with scores below this threshold are considered too poor and rejected
-// Higher threshold (less negative) = stricter matching
-// This ensures queries like "sprunkus" or "ian somer" fall through to Google
-const MATCH_QUALITY_THRESHOLD = -15;
+// Whether a URL belongs to an enabled source (or is a Chrome URL)
+const isIndexableUrl = (url) => {
+  if (isChromeUrl(url)) return true;
+  try {
+    const source = findSource(sourceRegistry, new URL(url).hostname);
+    return Boolean(source && source.enabled);
+  } catch {
+    return false;
+  }
+};
+
+async function loadSources() {
+  const { [SOURCE_SETTINGS_KEY]: stored } = await chrome.storage.local.get(SOURCE_SETTINGS_KEY);
+  sourceRegistry = compileSources(resolveSources(stored));
+}
+
+// Apply changes from the options page live
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+
+  if (changes[SETTINGS_KEY]) {
+    settings = validateSettings(changes[SETTINGS_KEY].newValue).settings;
+  }
+
+  // Cleared from the options page (or written by recordSelection)
+  if (changes[SELECTION_MEMORY_KEY]) {
+    selectionMemory = changes[SELECTION_MEMORY_KEY].newValue || {};
+  }
+
+  if (changes[MAIL_PROVIDERS_KEY]) {
+    loadMailProviders().then(loaded => { mailProviders = loaded; });
+  }
+
+  if (changes[SENDER_MAPPINGS_KEY]) {
+    senderMappings = validateSenderMappings(changes[SENDER_MAPPINGS_KEY].newValue || {}).mappings;
+  }
+
+  if (changes[SEARCH_PROVIDERS_KEY]) {
+    searchProviders = resolveSearchProviders(changes[SEARCH_PROVIDERS_KEY].newValue);
+  }
+
+  if (changes[ALIASES_KEY]) {
+    aliases = validateAliases(changes[ALIASES_KEY].newValue || {}).aliases;
+  }
+
+  if (changes[GMAIL_ACCOUNTS_KEY]) {
+    gmailAccounts = { mapped: {}, learned: {}, ...changes[GMAIL_ACCOUNTS_KEY].newValue };
+  }
+
+  // Source changes alter what is indexed, so re-index with them
+  if (changes[SOURCE_SETTINGS_KEY]) {
+    sourceRegistry = compileSources(resolveSources(changes[SOURCE_SETTINGS_KEY].newValue));
+    indexReady
+      .then(() => {
+        reindexForSources();
+        return resyncIndex();
+      })
+      .catch(e => console.log('[Jumpware] Error re-indexing after source change:', e));
+  }
+});
+
+// --- Ranking settings ---
+// Defaults until the stored settings are loaded; the options page updates them live.
+// settings.matchQualityThreshold: matches with scores below it are considered too poor
+// and rejected, so queries like "sprunkus" or "ian somer" fall through to web search
+let settings = { ...DEFAULT_SETTINGS };
+
+// --- Structured page details as searchable text ---
+// GitHub pages record { description, topics, language, labels, author } on the item
+const detailsText = (item) => {
+  const details = item.details;
+  if (!details) return '';
+  return [
+    details.description,
+    ...(details.topics || []),
+    details.language,
+    ...(details.labels || []),
+    details.author
+  ].filter(Boolean).join(' ');
+};
+
+// Sub-entities (PRs, issues, files) also match their kind, number and parent repo, since
+// every query word has to match within one field ("; flaky test pr", "; widgets pr 42")
+const entityText = (item) => {
+  if (!item.parent || item.parentTitle) return '';
+  let parentPath = '';
+  try {
+    parentPath = new URL(item.parent).pathname.slice(1);
+  } catch {
+    // Parent keys are URLs; anything else just isn't searched
+  }
+  return [item.kind, item.number && `#${item.number}`, parentPath].filter(Boolean).join(' ');
+};
+
+// Doc sections also match their doc's title ("; rfc rollout plan")
+const titleText = (item) => [item.title, item.parentTitle, entityText(item)].filter(Boolean).join(' ');
 
 // --- Calculate weighted text score from separate field scores ---
-// Weights: title (1.5), content (1.0), headings (0.8), url (0.5), kind (0.3)
-function calculateWeightedTextScore(query, item) {
+// Content, headings and details are only searched for queries of 3+ characters
+const TEXT_FIELDS = [
+  { field: 'title', weight: 'titleWeight', text: titleText },
+  { field: 'content', weight: 'contentWeight', minQueryLength: 3 },
+  { field: 'headings', weight: 'headingsWeight', minQueryLength: 3 },
+  { field: 'details', weight: 'detailsWeight', minQueryLength: 3, text: detailsText },
+  { field: 'url', weight: 'urlWeight' },
+  { field: 'kind', weight: 'kindWeight' }
+];
+
+// Returns { score, fields } with one entry per matching field (explain mode shows them).
+// Fields that don't match contribute 0; the score is -Infinity if no field matches
+// and -9999 for an empty query.
+function explainTextScore(query, item) {
   const q = query.toLowerCase().trim();
-  if (!q) return -9999;
-  
-  // Calculate individual field scores
-  const titleScore = fuzzyScore(q, (item.title || '').toLowerCase());
-  const urlScore = fuzzyScore(q, (item.url || '').toLowerCase());
-  const kindScore = fuzzyScore(q, (item.kind || '').toLowerCase());
-  
-  // For queries >= 3 chars, include content and headings
-  let contentScore = -9999;
-  let headingsScore = -9999;
-  
-  if (q.length >= 3) {
-    contentScore = fuzzyScore(q, (item.content || '').toLowerCase());
-    headingsScore = fuzzyScore(q, (item.headings || '').toLowerCase());
+  if (!q) return { score: -9999, fields: [] };
+
+  const fields = [];
+  let score = 0;
+  for (const { field, weight, minQueryLength = 0, text } of TEXT_FIELDS) {
+    if (q.length < minQueryLength) continue;
+    const match = fuzzyMatch(q, (text ? text(item) : item[field]) || '');
+    if (match.score === -Infinity) continue;
+
+    const weighted = match.score * settings[weight];
+    fields.push({
+      field,
+      score: match.score,
+      weight: settings[weight],
+      jumps: match.jumps,
+      extraCharPenalty: match.extraCharPenalty
+    });
+    score += weighted;
   }
-  
-  // Check if any field has a valid match (not -Infinity and not -9999)
-  // -Infinity means the query doesn't match that field at all
-  // -9999 means the query was empty or invalid
-  const allScores = [titleScore, urlScore, kindScore];
-  if (q.length >= 3) {
-    allScores.push(contentScore, headingsScore);
+
+  return { score: fields.length > 0 ? score : -Infinity, fields };
+}
+
+// --- Searchable text of an item, as indexed for candidate generation ---
+const searchableText = (item) =>
+  [titleText(item), item.url, item.kind, item.headings, detailsText(item), item.content].filter(Boolean).join(' ');
+
+// --- Frecency: visit frequency weighted by recency ---
+// Typed visits count extra (like Chrome's own omnibox), and the total decays
+// with a configurable half-life since the last visit
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function calculateFrecency(item, now = Date.now()) {
+  const visits = (item.visitCount || 0) + (item.typedCount || 0) * settings.frecencyTypedBonus;
+  if (visits <= 0 || !item.lastVisitTime) return 0;
+
+  const ageDays = Math.max(0, now - item.lastVisitTime) / DAY_MS;
+  const decay = Math.pow(0.5, ageDays / settings.frecencyHalfLifeDays);
+  return Math.log2(1 + visits) * decay;
+}
+
+// --- Selection memory: which suggestion the user picked for a typed query ---
+// Shape: { [typed prefix]: { [normalized url]: { count, lastUsed } } }
+let selectionMemory = {};
+const MAX_REMEMBERED_PREFIXES = 500;
+
+async function loadSelectionMemory() {
+  const { [SELECTION_MEMORY_KEY]: stored } = await chrome.storage.local.get(SELECTION_MEMORY_KEY);
+  selectionMemory = stored || {};
+}
+
+const normalizeTypedQuery = (text) => text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// True if the URL is (a variant of) an indexed page
+function isIndexedUrl(url) {
+  if (!indexCache) return false;
+  return itemsByKey.has(normalizeUrlForDedup(url));
+}
+
+function recordSelection(typed, url) {
+  const prefix = normalizeTypedQuery(typed || '');
+  if (!prefix || !indexCache) return;
+
+  // Only index items are boosted, so don't remember web searches or one-off links
+  if (!isIndexedUrl(url)) return;
+  const normalized = normalizeUrlForDedup(url);
+
+  const picks = selectionMemory[prefix] || (selectionMemory[prefix] = {});
+  const pick = picks[normalized] || (picks[normalized] = { count: 0, lastUsed: 0 });
+  pick.count += 1;
+  pick.lastUsed = Date.now();
+
+  // Forget the least recently used prefixes beyond the cap
+  const prefixes = Object.keys(selectionMemory);
+  if (prefixes.length > MAX_REMEMBERED_PREFIXES) {
+    const lastUsed = (p) => Math.max(...Object.values(selectionMemory[p]).map(x => x.lastUsed));
+    prefixes
+      .sort((a, b) => lastUsed(a) - lastUsed(b))
+      .slice(0, prefixes.length - MAX_REMEMBERED_PREFIXES)
+      .forEach(p => delete selectionMemory[p]);
   }
-  
-  const hasValidMatch = allScores.some(score => score !== -Infinity && score !== -9999);
-  
-  if (!hasValidMatch) {
-    return -Infinity;
+
+  chrome.storage.local.set({ [SELECTION_MEMORY_KEY]: selectionMemory })
+    .catch(e => console.log('[Jumpware] Error saving selection memory:', e));
+}
+
+// Forget picks of removed pages (keys = null forgets everything)
+function forgetSelections(keys) {
+  if (!keys) {
+    selectionMemory = {};
+  } else {
+    for (const [prefix, picks] of Object.entries(selectionMemory)) {
+      for (const key of keys) delete picks[key];
+      if (Object.keys(picks).length === 0) delete selectionMemory[prefix];
+    }
   }
-  
-  // Apply weights and combine scores
-  // Fields that return -Infinity don't match, so contribute 0 to the weighted sum
-  // Fields that return -9999 (not searched) also contribute 0
-  const safeTitleScore = (titleScore === -Infinity || titleScore === -9999) ? 0 : titleScore;
-  const safeUrlScore = (urlScore === -Infinity || urlScore === -9999) ? 0 : urlScore;
-  const safeKindScore = (kindScore === -Infinity || kindScore === -9999) ? 0 : kindScore;
-  const safeContentScore = (contentScore === -Infinity || contentScore === -9999) ? 0 : contentScore;
-  const safeHeadingsScore = (headingsScore === -Infinity || headingsScore === -9999) ? 0 : headingsScore;
-  
-  // Weighted combination
-  const textScore = (safeTitleScore * 1.5) + 
-                    (safeContentScore * 1.0) + 
-                    (safeHeadingsScore * 0.8) + 
-                    (safeUrlScore * 0.5) + 
-                    (safeKindScore * 0.3);
-  
-  return textScore;
+  chrome.storage.local.set({ [SELECTION_MEMORY_KEY]: selectionMemory })
+    .catch(e => console.log('[Jumpware] Error saving selection memory:', e));
+}
+
+// Boost per normalized URL for a query: picks remembered for the same query or any
+// prefix of it count, decaying with a configurable half-life since they were last used
+function calculateSelectionBoosts(q, now = Date.now()) {
+  const typed = normalizeTypedQuery(q);
+  const totals = new Map();
+  if (!typed) return totals;
+
+  for (const [prefix, picks] of Object.entries(selectionMemory)) {
+    if (!typed.startsWith(prefix)) continue;
+    for (const [normalized, pick] of Object.entries(picks)) {
+      const ageDays = Math.max(0, now - pick.lastUsed) / DAY_MS;
+      const weight = pick.count * Math.pow(0.5, ageDays / settings.selectionHalfLifeDays);
+      totals.set(normalized, (totals.get(normalized) || 0) + weight);
+    }
+  }
+
+  const boosts = new Map();
+  for (const [normalized, total] of totals) {
+    boosts.set(normalized, Math.log2(1 + total) * settings.selectionBoost);
+  }
+  return boosts;
+}
+
+// --- Candidate items for a query ---
+// Looked up in the inverted index when the query has a word of 3+ characters. Fuzzy
+// matches can skip characters, so abbreviations and typos ("prpsl" for proposal) may
+// share no trigram with the item they mean: items whose title or URL holds every query
+// word as a subsequence are always added too, capped, right after the best index hits
+// so the latency budget still reaches them. Shorter queries scan the items sharing
+// their first character, as before the index.
+const FUZZY_FALLBACK_LIMIT = 50;
+const FUZZY_FALLBACK_AFTER = 100;
+
+function hasSubsequence(text, word) {
+  let pos = -1;
+  for (const ch of word) {
+    pos = text.indexOf(ch, pos + 1);
+    if (pos === -1) return false;
+  }
+  return true;
+}
+
+function selectCandidates(q, idx) {
+  const candidates = searchIndex.candidates(q);
+  if (!candidates) {
+    return q.length > 0
+      ? idx.filter(item => `${item.title} ${item.url}`.toLowerCase().includes(q[0]))
+      : idx;
+  }
+
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+  const seen = new Set(candidates);
+  const fallback = [];
+  for (const item of idx) {
+    if (fallback.length >= FUZZY_FALLBACK_LIMIT) break;
+    if (seen.has(item)) continue;
+    const text = `${titleText(item)} ${item.url}`.toLowerCase();
+    if (words.every(word => hasSubsequence(text, word))) fallback.push(item);
+  }
+  return [
+    ...candidates.slice(0, FUZZY_FALLBACK_AFTER),
+    ...fallback,
+    ...candidates.slice(FUZZY_FALLBACK_AFTER)
+  ];
+}
+
+// --- Score candidates best-first within the per-keystroke latency budget ---
+function scoreCandidates(q, candidates, context) {
+  const deadline = performance.now() + settings.searchLatencyBudgetMs;
+  const scored = [];
+  for (let i = 0; i < candidates.length; i++) {
+    // Check the clock every few items; always score the first batch
+    if (i > 0 && i % 25 === 0 && performance.now() > deadline) {
+      console.log(`[Jumpware] Latency budget reached after scoring ${i} of ${candidates.length} candidates`);
+      break;
+    }
+    const score = scoreItem(q, candidates[i], context);
+    if (score !== -Infinity) scored.push({ item: candidates[i], score });
+  }
+  return scored;
+}
+
+// --- Per-query inputs shared by every item's score ---
+async function buildScoringContext(q) {
+  return {
+    openUrls: await getOpenNormalizedUrls(),
+    selectionBoosts: calculateSelectionBoosts(q)
+  };
+}
+
+// --- Final score for an index item: text match plus cluster, frecency and selection boosts ---
+// Returns the score with each of its parts
+function explainItemScore(q, item, context) {
+  const text = explainTextScore(q, item);
+  if (text.score === -Infinity) return { score: -Infinity, text };
+
+  const clusterBoost = calculateClusterBoost(item.url, context.openUrls);
+  const frecencyBoost = calculateFrecency(item) * settings.frecencyWeight;
+  const selectionBoost = context.selectionBoosts.get(normalizeUrlForDedup(item.url)) || 0;
+
+  return {
+    score: text.score + clusterBoost + frecencyBoost + selectionBoost,
+    text,
+    clusterBoost,
+    frecencyBoost,
+    selectionBoost
+  };
+}
+
+function scoreItem(q, item, context) {
+  return explainItemScore(q, item, context).score;
+}
+
+// --- Explain mode ---
+// A query ending in "?" (e.g. "; roadmap?") lists the top candidates with how each
+// score was put together instead of the normal suggestions
+function parseExplainQuery(text) {
+  const trimmed = text.trim();
+  if (trimmed.length > 1 && trimmed.endsWith('?')) {
+    return { query: trimmed.slice(0, -1).trim(), explain: true };
+  }
+  return { query: trimmed, explain: false };
+}
+
+const formatScore = (n) => n.toFixed(2);
+
+function formatExplanation(explained, status) {
+  const { score, text, clusterBoost, frecencyBoost, selectionBoost } = explained;
+  const fields = text.fields.map(f =>
+    `${f.field} ${formatScore(f.score)}×${f.weight} (${f.jumps} jumps)`
+  ).join(', ');
+  const extraChars = text.fields[0]?.extraCharPenalty || 0;
+
+  return `${formatScore(score)} = text ${formatScore(text.score)} [${fields}; ${extraChars} extra chars]` +
+    ` + cluster ${formatScore(clusterBoost)} + frecency ${formatScore(frecencyBoost)}` +
+    ` + picked ${formatScore(selectionBoost)} · ${status}`;
+}
+
+// Scores every candidate (no latency budget) and explains the top ones
+async function buildExplainSuggestions(query) {
+  const q = query.toLowerCase();
+  const idx = await getIndexFast();
+  const context = await buildScoringContext(q);
+
+  const explained = selectCandidates(q, idx)
+    .map(item => ({ item, ...explainItemScore(q, item, context) }))
+    .filter(({ score }) => score !== -Infinity)
+    .sort((a, b) => b.score - a.score);
+
+  // Same dedup as the normal suggestions
+  const seenUrls = new Set();
+  const top = [];
+  for (const entry of explained) {
+    const normalized = normalizeUrlForDedup(entry.item.url);
+    if (seenUrls.has(normalized)) continue;
+    seenUrls.add(normalized);
+    top.push(entry);
+    if (top.length === settings.maxSuggestions) break;
+  }
+
+  // The threshold applies to the best match: below it, every index suggestion is hidden
+  const cutOff = top.length > 0 && top[0].score < settings.matchQualityThreshold;
+  let status = 'shown';
+  if (top.length === 0) status = 'no matches';
+  else if (cutOff) status = `hidden: best match below threshold ${settings.matchQualityThreshold}`;
+
+  console.log(`[Jumpware] Explain "${q}" (${explained.length} matching candidates, ${status}):`);
+  const suggestions = top.map((entry, i) => {
+    const explanation = formatExplanation(entry, status);
+    console.log(`[Jumpware]   ${i + 1}. ${entry.item.title} <${entry.item.url}>: ${explanation}`);
+    return {
+      content: itemOpenUrl(entry.item),
+      description: `${i + 1}. ${escapeForOmnibox(entry.item.title)} <dim>${escapeForOmnibox(explanation)}</dim>`
+    };
+  });
+  return suggestions;
 }
 
 // --- Normalize URLs for deduplication ---
+// Each source's dedup rules decide how its URLs collapse (e.g. Docs /d/ID, GitHub owner/repo,
+// GitHub owner/repo/pull/N for sub-entities)
 function normalizeUrlForDedup(url) {
   try {
     const u = new URL(url);
-    if (/docs\.google\.com/i.test(u.hostname)) {
-      // Extract document ID from path: /document/d/DOC_ID/...
-      const match = u.pathname.match(/\/document\/d\/([^\/]+)/);
-      if (match) {
-        return `https://docs.google.com/document/d/${match[1]}`;
-      }
-      // Similar for sheets and slides
-      const sheetMatch = u.pathname.match(/\/spreadsheets\/d\/([^\/]+)/);
-      if (sheetMatch) {
-        return `https://docs.google.com/spreadsheets/d/${sheetMatch[1]}`;
-      }
-      const slideMatch = u.pathname.match(/\/presentation\/d\/([^\/]+)/);
-      if (slideMatch) {
-        return `https://docs.google.com/presentation/d/${slideMatch[1]}`;
-      }
-    } else if (/github\.com/i.test(u.hostname)) {
-      // Normalize GitHub URLs: github.com/owner/repo
-      const parts = u.pathname.split('/').filter(p => p);
-      if (parts.length >= 2) {
-        return `https://github.com/${parts[0]}/${parts[1]}`;
-      }
-    }
-    // For other URLs, remove query and fragment
-    return `${u.protocol}//${u.hostname}${u.pathname}`;
+    const source = findSource(sourceRegistry, u.hostname);
+    const classified = source && classifyUrl(source, u);
+    if (classified?.key) return classified.key;
+    // For other URLs, remove query, fragment and account segment
+    return `${u.protocol}//${u.hostname}${classified?.path ?? u.pathname}`;
   } catch {
     return url; // Fallback to original
   }
@@ -186,32 +551,30 @@ const normalizeItem = (url, title = "", extractedContent = null) => {
     }
     
     const u = new URL(url);
-    if (!HOST_ALLOW.test(u.hostname)) return null;
+    const source = findSource(sourceRegistry, u.hostname);
+    if (!source || !source.enabled) return null;
 
     // Use extracted title if available, otherwise use provided title
     const finalTitle = extractedContent?.title || title || url;
-    let label = finalTitle;
-    let kind = "Other";
+    const classified = classifyUrl(source, u);
 
-    if (/docs\.google\.com/i.test(u.hostname)) {
-      if (u.pathname.startsWith("/document/")) kind = "Google Doc";
-      else if (u.pathname.startsWith("/spreadsheets/")) kind = "Google Sheet";
-      else if (u.pathname.startsWith("/presentation/")) kind = "Google Slides";
-      else kind = "Google Docs";
-
-      // Fall back to a human-ish ID if no title
-      label = finalTitle && finalTitle.trim() ? finalTitle : `[${kind}] ${u.pathname.split("/")[3] || ""}`;
-    } else if (/github\.com/i.test(u.hostname)) {
-      const [, owner, repo] = u.pathname.split("/");
-      if (owner && repo) { kind = "GitHub"; label = finalTitle && finalTitle.trim() ? finalTitle : `${owner}/${repo}`; }
-      else kind = "GitHub";
-    }
+    // Fall back to the source's title template (e.g. a Docs ID or owner/repo) if no title
+    const label = finalTitle && finalTitle.trim() && finalTitle !== url
+      ? finalTitle
+      : (sourceTitleFallback(classified, u) || finalTitle);
 
     return { 
       url: u.toString(), 
       title: label, 
       host: u.hostname, 
-      kind,
+      kind: classified.kind,
+      // Sub-entities (GitHub PRs, issues, files) point at their parent's dedup key
+      parent: classified.parent,
+      number: classified.number,
+      // Signed-in account of this visit (e.g. Google's /u/1 or authuser), null for the default
+      account: classified.account,
+      state: extractedContent?.state ? extractedContent.state.toLowerCase() : null,
+      details: extractedContent?.details || null,
       content: extractedContent?.content || '',
       headings: extractedContent?.headings || '',
       extractedAt: extractedContent?.extractedAt || null
@@ -219,76 +582,255 @@ const normalizeItem = (url, title = "", extractedContent = null) => {
   } catch { return null; }
 };
 
+// Visit statistics from a chrome.history item, used for frecency
+const withVisitStats = (item, h) => item && {
+  ...item,
+  visitCount: h.visitCount || 0,
+  typedCount: h.typedCount || 0,
+  lastVisitTime: h.lastVisitTime || null
+};
+
+// Fold the visit stats of another URL with the same dedup key into an item
+const mergeVisitStats = (item, other) => {
+  item.visitCount = (item.visitCount || 0) + (other.visitCount || 0);
+  item.typedCount = (item.typedCount || 0) + (other.typedCount || 0);
+  if (other.lastVisitTime && (!item.lastVisitTime || other.lastVisitTime > item.lastVisitTime)) {
+    item.lastVisitTime = other.lastVisitTime;
+    // The most recent visit decides which account the page opens under
+    if (other.account !== undefined) item.account = other.account;
+  }
+};
+
+// --- URL to open an item at, under the account it was last visited with ---
+// Items stored before accounts were tracked have no account field and open as stored
+function itemOpenUrl(item) {
+  if (item.account === undefined) return item.url;
+  try {
+    const source = findSource(sourceRegistry, new URL(item.url).hostname);
+    return source ? applyAccount(source, item.url, item.account) : item.url;
+  } catch {
+    return item.url;
+  }
+}
+
+// Keeps the first item per dedup key; later duplicates only contribute visit stats
 const dedupeByUrl = (arr) => {
-  const seen = new Set();
+  const seen = new Map();
   const out = [];
   for (const x of arr) {
     if (x && x.url) {
       const normalized = normalizeUrlForDedup(x.url);
       if (!seen.has(normalized)) {
-        seen.add(normalized);
+        seen.set(normalized, x);
         out.push(x);
+      } else {
+        mergeVisitStats(seen.get(normalized), x);
       }
     }
   }
   return out;
 };
 
+// --- Doc sections: heading deep links derived from a doc's extracted content ---
+// They are keyed by the doc's dedup key plus the #heading fragment
+const isSectionOf = (item, key) => item.parent === key && item.url.includes('#');
+
+// Suggestion label: kind, number/state for sub-entities, and the parent they belong to
+function describeItemKind(item) {
+  let label = item.kind;
+  if (item.number) label += ` #${item.number}`;
+  if (item.state) label += ` (${item.state})`;
+  if (item.parentTitle) {
+    label += ` in ${item.parentTitle}`;
+  } else if (item.parent) {
+    try {
+      label += ` in ${new URL(item.parent).pathname.slice(1)}`;
+    } catch {
+      // Unparseable parent, show the kind alone
+    }
+  }
+  return label;
+}
+
 // --- In-memory index cache for fast access ---
 let indexCache = null;
 let indexCacheTimestamp = 0;
-const INDEX_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-// --- build + cache index in chrome.storage.local ---
+// Inverted index and dedup key -> item map over indexCache, kept in step with it
+const searchIndex = createSearchIndex();
+const itemsByKey = new Map();
+
+function rebuildLookups(items) {
+  searchIndex.clear();
+  itemsByKey.clear();
+  for (const item of items) {
+    const key = normalizeUrlForDedup(item.url);
+    searchIndex.add(key, item, searchableText(item));
+    itemsByKey.set(key, item);
+  }
+}
+
+// Bookmark id -> URL, to know what an edited or removed bookmark pointed at
+let bookmarkUrls = new Map();
+// Dedup key -> number of bookmarks for it, since several bookmarks can point at one page
+const bookmarkedKeys = new Map();
+
+function countBookmark(url, delta) {
+  const key = normalizeUrlForDedup(url);
+  const count = (bookmarkedKeys.get(key) || 0) + delta;
+  if (count > 0) bookmarkedKeys.set(key, count);
+  else bookmarkedKeys.delete(key);
+}
+
+function setBookmarkUrls(urls) {
+  bookmarkUrls = urls;
+  bookmarkedKeys.clear();
+  for (const url of urls.values()) countBookmark(url, 1);
+}
+
+// Bookmark id -> URL for every bookmark in the tree
+function collectBookmarkUrls(tree) {
+  const urls = new Map();
+  const walk = (n) => {
+    if (n.url) urls.set(n.id, n.url);
+    (n.children || []).forEach(walk);
+  };
+  tree.forEach(walk);
+  return urls;
+}
+
+// Dedup key -> title of the first bookmark for it, as the index takes it from the bookmark
+function collectBookmarkTitles(tree) {
+  const titles = new Map();
+  const walk = (n) => {
+    if (n.url) {
+      const key = normalizeUrlForDedup(n.url);
+      const item = titles.has(key) ? null : normalizeItem(n.url, n.title);
+      if (item) titles.set(key, item.title);
+    }
+    (n.children || []).forEach(walk);
+  };
+  tree.forEach(walk);
+  return titles;
+}
+
+// Same stored fields and values; nested ones (e.g. details) are compared by content
+function sameItem(a, b) {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...fields].every(f => a[f] === b[f] || JSON.stringify(a[f]) === JSON.stringify(b[f]));
+}
+
+// Fold what history and bookmarks report for a known page into it: the latest visit
+// stats, bookmark state and (unless the page provided one) title. Counts never drop,
+// since history may report fewer of a page's URL variants than were counted.
+function mergeReportedItem(item, reported) {
+  item.visitCount = Math.max(item.visitCount || 0, reported.visitCount || 0);
+  item.typedCount = Math.max(item.typedCount || 0, reported.typedCount || 0);
+  if (reported.lastVisitTime && (!item.lastVisitTime || reported.lastVisitTime > item.lastVisitTime)) {
+    item.lastVisitTime = reported.lastVisitTime;
+    item.account = reported.account;
+  }
+  if (reported.bookmarked) item.bookmarked = true;
+  if (!item.extractedAt && reported.title && reported.title.trim()) item.title = reported.title;
+}
+
+// --- build + cache index in IndexedDB ---
+// Merges history and bookmarks into the live index: new pages are added (with their
+// parents) and known ones updated in place, keeping their extracted content and any
+// change events made while history was being read. Nothing is removed here, as history
+// only reports its most recent pages; history.onVisitRemoved and bookmark removal do that.
 async function buildIndex() {
   const [hist, tree] = await Promise.all([
-    chrome.history.search({ text: "", maxResults: 1000 }),
+    chrome.history.search({ text: "", startTime: 0, maxResults: 1000 }),
     new Promise((res) => chrome.bookmarks.getTree(res))
   ]);
 
-  const fromHistory = hist.map(h => normalizeItem(h.url, h.title)).filter(Boolean);
+  const fromHistory = hist.map(h => withVisitStats(normalizeItem(h.url, h.title), h)).filter(Boolean);
 
   const fromBookmarks = [];
   const walk = (n) => {
     if (n.url) {
       const it = normalizeItem(n.url, n.title);
-      if (it) fromBookmarks.push(it);
+      if (it) fromBookmarks.push({ ...it, bookmarked: true });
     }
     (n.children || []).forEach(walk);
   };
   tree.forEach(walk);
+  setBookmarkUrls(collectBookmarkUrls(tree));
+
+  // Only changed records are written, so a resync that finds nothing new costs no writes
+  for (const reported of dedupeByUrl([...fromBookmarks, ...fromHistory])) {
+    const key = normalizeUrlForDedup(reported.url);
+    const item = itemsByKey.get(key);
+    if (!item) {
+      upsertItem(reported);
+      continue;
+    }
+    const before = { ...item };
+    mergeReportedItem(item, reported);
+    if (!sameItem(before, item)) {
+      searchIndex.add(key, item, searchableText(item));
+      persistItem(item);
+    }
+  }
 
-  const index = dedupeByUrl([...fromBookmarks, ...fromHistory]);
   const timestamp = Date.now();
-  await chrome.storage.local.set({ index, index_timestamp: timestamp });
-  // Update in-memory cache
-  indexCache = index;
+  saveMeta('indexTimestamp', timestamp);
   indexCacheTimestamp = timestamp;
-  return index;
+  return indexCache;
+}
+
+// Sources decide what is indexed and how pages are keyed, so after a source change the
+// index is re-keyed: pages no enabled source indexes are dropped, kinds and parents are
+// re-derived, and pages that now share a dedup key are merged
+function reindexForSources() {
+  const previousKeys = new Set(itemsByKey.keys());
+  indexCache = dedupeByUrl(indexCache.map(item => {
+    const fresh = normalizeItem(item.url);
+    return fresh && Object.assign(item, { kind: fresh.kind, parent: fresh.parent, number: fresh.number });
+  }));
+  rebuildLookups(indexCache);
+
+  for (const key of previousKeys) {
+    if (!itemsByKey.has(key)) deleteItem(key);
+  }
+  for (const [key, item] of itemsByKey) saveItem(key, item);
 }
 
 // Load index into memory on startup
 async function loadIndexToMemory() {
-  const { index, index_timestamp } = await chrome.storage.local.get(["index", "index_timestamp"]);
-  if (index) {
-    indexCache = index;
-    indexCacheTimestamp = index_timestamp || Date.now();
+  const [index, timestamp] = await Promise.all([loadItems(), loadMeta('indexTimestamp')]);
+  indexCache = index;
+  rebuildLookups(index);
+  if (index.length > 0) {
+    indexCacheTimestamp = timestamp || Date.now();
+    setBookmarkUrls(collectBookmarkUrls(await new Promise((res) => chrome.bookmarks.getTree(res))));
   } else {
-    indexCache = await buildIndex();
-    indexCacheTimestamp = Date.now();
+    await buildIndex();
+  }
+}
+
+// Resync with history and bookmarks in the background, at most one at a time
+let resyncPromise = null;
+
+function resyncIndex() {
+  if (!resyncPromise) {
+    resyncPromise = buildIndex()
+      .catch(e => console.log('[Jumpware] Error resyncing index:', e))
+      .finally(() => { resyncPromise = null; });
   }
+  return resyncPromise;
 }
 
-// Fast in-memory index getter (no async I/O if cache is fresh)
+// In-memory index for the keystroke path, which never waits on history, bookmarks or
+// storage. Events keep it current; once it's older than the resync interval, a resync
+// that catches anything they missed starts in the background.
 async function getIndexFast() {
-  // If cache is fresh, return immediately (no async I/O!)
-  if (indexCache && (Date.now() - indexCacheTimestamp) < INDEX_CACHE_TTL) {
-    return indexCache;
+  if (!indexCache) await indexReady;
+  if ((Date.now() - indexCacheTimestamp) >= settings.indexCacheTtlMinutes * 60 * 1000) {
+    resyncIndex();
   }
-  // Otherwise refresh
-  indexCache = await buildIndex();
-  indexCacheTimestamp = Date.now();
-  return indexCache;
+  return indexCache || [];
 }
 
 // Legacy function for compatibility
@@ -296,12 +838,237 @@ async function getIndexFresh() {
   return await getIndexFast();
 }
 
-// refresh periodically as you browse (rate-limited)
-chrome.history.onVisited.addListener(async () => {
-  const { index_timestamp } = await chrome.storage.local.get("index_timestamp");
-  if (!index_timestamp || (Date.now() - index_timestamp) > 60 * 1000) {
-    // buildIndex() already updates indexCache, so this is fine
-    await buildIndex();
+// --- Incremental index maintenance ---
+// History and bookmark events update single items instead of rebuilding the index,
+// so new visits show up immediately and extracted page content is kept.
+
+// Queue a changed item for the next batched write
+const persistItem = (item) => saveItem(normalizeUrlForDedup(item.url), item);
+
+// Add an item (and its missing parent) unless one with its dedup key exists; returns the indexed item
+function upsertItem(item) {
+  const key = normalizeUrlForDedup(item.url);
+  const existing = itemsByKey.get(key);
+  if (existing) return existing;
+
+  indexCache.push(item);
+  itemsByKey.set(key, item);
+  searchIndex.add(key, item, searchableText(item));
+  saveItem(key, item);
+
+  if (item.parent && !itemsByKey.has(item.parent)) {
+    const parent = normalizeItem(item.parent);
+    if (parent) {
+      parent.groupOnly = true;
+      indexCache.push(parent);
+      itemsByKey.set(item.parent, parent);
+      searchIndex.add(item.parent, parent, searchableText(parent));
+      saveItem(item.parent, parent);
+    }
+  }
+  return item;
+}
+
+// Remove the items pick(item, key) selects in one pass over the index, so removing
+// many at once (clearing history, deleting a bookmark folder) stays linear.
+// Sections come from the doc's extracted content, so they go with it.
+function removeWhere(pick) {
+  const removed = new Set();
+  for (const [key, item] of itemsByKey) {
+    if (pick(item, key)) removed.add(key);
+  }
+  if (removed.size === 0) return;
+
+  indexCache = indexCache.filter(x => {
+    const key = normalizeUrlForDedup(x.url);
+    if (!removed.has(key) && !(removed.has(x.parent) && isSectionOf(x, x.parent))) return true;
+    itemsByKey.delete(key);
+    searchIndex.remove(key);
+    deleteItem(key);
+    return false;
+  });
+}
+
+function removeItem(key) {
+  if (itemsByKey.has(key)) removeWhere((x, k) => k === key);
+}
+
+function removeSections(key, keep = new Set()) {
+  removeWhere((x, k) => isSectionOf(x, key) && !keep.has(k));
+}
+
+// Replace a doc's sections with the headings just extracted from it
+function updateSections(doc, sections) {
+  const docKey = normalizeUrlForDedup(doc.url);
+  const base = doc.url.split('#')[0];
+  const keep = new Set();
+  for (const { heading, anchor } of sections) {
+    const section = normalizeItem(`${base}#heading=${anchor}`, heading);
+    if (!section || section.parent !== docKey) continue;
+    const key = normalizeUrlForDedup(section.url);
+    keep.add(key);
+
+    const existing = itemsByKey.get(key);
+    if (existing) {
+      Object.assign(existing, { title: heading, parentTitle: doc.title, account: doc.account });
+      searchIndex.add(key, existing, searchableText(existing));
+      persistItem(existing);
+    } else {
+      upsertItem({ ...section, parentTitle: doc.title, account: doc.account });
+    }
+  }
+  removeSections(docKey, keep);
+}
+
+// Drop parents that were only added to group sub-entities once none of them are left
+function removeOrphanedParents() {
+  const parentKeys = new Set(indexCache.map(x => x.parent).filter(Boolean));
+  removeWhere((x, key) => x.groupOnly && !x.bookmarked && !x.lastVisitTime && !parentKeys.has(key));
+}
+
+// Rename an item unless its title came from the page itself
+function updateTitle(item, title) {
+  if (!title || !title.trim() || item.extractedAt) return;
+  item.title = title;
+  searchIndex.add(normalizeUrlForDedup(item.url), item, searchableText(item));
+  persistItem(item);
+}
+
+function addBookmark(id, url, title) {
+  bookmarkUrls.set(id, url);
+  countBookmark(url, 1);
+  const item = normalizeItem(url, title);
+  if (!item) return;
+  const indexed = upsertItem(item);
+  indexed.bookmarked = true;
+  persistItem(indexed);
+}
+
+// Drop a bookmark; its item stays if another bookmark or a history visit still backs it.
+// With `unbacked`, the keys of items to remove are collected there for one removeWhere.
+function forgetBookmark(id, unbacked = null) {
+  const url = bookmarkUrls.get(id);
+  if (!url) return;
+  bookmarkUrls.delete(id);
+  countBookmark(url, -1);
+
+  const key = normalizeUrlForDedup(url);
+  if (bookmarkedKeys.has(key)) return;
+  const item = itemsByKey.get(key);
+  if (!item) return;
+  if (item.lastVisitTime) {
+    item.bookmarked = false;
+    persistItem(item);
+  } else if (unbacked) {
+    unbacked.add(key);
+  } else {
+    removeItem(key);
+  }
+}
+
+// New visit: count it towards frecency, or index the page if it's new
+chrome.history.onVisited.addListener(async (result) => {
+  await indexReady;
+  const item = normalizeItem(result.url, result.title);
+  if (!item) return;
+
+  const existing = itemsByKey.get(normalizeUrlForDedup(item.url));
+  if (existing) {
+    existing.visitCount = (existing.visitCount || 0) + 1;
+    existing.lastVisitTime = result.lastVisitTime || Date.now();
+    existing.account = item.account;
+    updateTitle(existing, result.title);
+    persistItem(existing);
+  } else {
+    upsertItem(withVisitStats(item, result));
+  }
+});
+
+// Strip a bookmarked item back to what the bookmark itself provides: its title and URL,
+// without visit stats or page content extracted while it was visited (the caller
+// removes its sections)
+function resetToBookmark(item, bookmarkTitle) {
+  Object.assign(item, {
+    title: bookmarkTitle || item.title,
+    state: null,
+    details: null,
+    content: '',
+    headings: '',
+    extractedAt: null,
+    visitCount: 0,
+    typedCount: 0,
+    lastVisitTime: null
+  });
+  searchIndex.add(normalizeUrlForDedup(item.url), item, searchableText(item));
+  persistItem(item);
+}
+
+// Removed history (including "clear browsing data"): drop the pages and everything
+// learned from visiting them. Bookmarked pages stay, reduced to the bookmark itself.
+chrome.history.onVisitRemoved.addListener(async ({ allHistory, urls }) => {
+  await indexReady;
+  const keys = new Set(allHistory
+    ? itemsByKey.keys()
+    : (urls || []).map(url => normalizeUrlForDedup(url)));
+
+  // One bookmark tree read gives the titles of all the bookmarked pages to reset
+  const bookmarked = [...keys].filter(key => bookmarkedKeys.has(key) && itemsByKey.has(key));
+  if (bookmarked.length > 0) {
+    const titles = collectBookmarkTitles(await new Promise((res) => chrome.bookmarks.getTree(res)));
+    for (const key of bookmarked) {
+      const item = itemsByKey.get(key);
+      if (item) resetToBookmark(item, titles.get(key));
+    }
+  }
+  removeWhere((x, key) =>
+    (keys.has(key) && !bookmarkedKeys.has(key)) || (keys.has(x.parent) && isSectionOf(x, x.parent)));
+  removeOrphanedParents();
+  forgetCoOccurrences(allHistory ? null : keys);
+  forgetSelections(allHistory ? null : keys);
+
+  // Write right away so removed page content doesn't linger in storage
+  await flushWrites();
+});
+
+chrome.bookmarks.onCreated.addListener(async (id, node) => {
+  await indexReady;
+  if (!node.url) return; // Folders have nothing to index
+  addBookmark(id, node.url, node.title);
+});
+
+chrome.bookmarks.onChanged.addListener(async (id, { title, url }) => {
+  await indexReady;
+  const oldUrl = bookmarkUrls.get(id);
+  if (!oldUrl && !url) return; // A folder was renamed
+
+  if (url && url !== oldUrl) {
+    forgetBookmark(id);
+    addBookmark(id, url, title);
+  } else {
+    const item = itemsByKey.get(normalizeUrlForDedup(oldUrl));
+    if (item) updateTitle(item, title);
+  }
+});
+
+// Removing a folder removes every bookmark under it
+chrome.bookmarks.onRemoved.addListener(async (id, { node }) => {
+  await indexReady;
+  const unbacked = new Set();
+  const walk = (n) => {
+    forgetBookmark(n.id, unbacked);
+    (n.children || []).forEach(walk);
+  };
+  walk(node || { id });
+  removeWhere((x, key) => unbacked.has(key));
+});
+
+// Moving doesn't change a bookmark's URL, but re-read it so the id map can't go stale
+chrome.bookmarks.onMoved.addListener(async (id) => {
+  await indexReady;
+  const [node] = await chrome.bookmarks.get(id);
+  if (node?.url && node.url !== bookmarkUrls.get(id)) {
+    forgetBookmark(id);
+    addBookmark(id, node.url, node.title);
   }
 });
 
@@ -322,13 +1089,13 @@ async function extractContentFromTab(tabId) {
 // --- Cache for on-screen links and OTP detection ---
 let screenSnapshot = {
   links: [],
-  otpGmailUrl: null,
+  otpMailUrls: [],
+  otpHostname: null,
+  otpSender: null,
   tabId: null,
   timestamp: 0
 };
 
-const SNAPSHOT_TTL = 15000; // 15 seconds
-
 // --- Check and request host permissions if needed ---
 async function ensureHostPermissions() {
   try {
@@ -345,6 +1112,149 @@ async function ensureHostPermissions() {
   }
 }
 
+// --- OTP screen detection ---
+// Each frame's content script reports its own signals; they are merged here.
+// Calibrated against fixtures/otp: the OTP pages score 100+, while pages with a
+// non-OTP "code" field next to an email mention (promo, postal code) reach 70
+const OTP_DETECTION_THRESHOLD = 85;
+
+// Signals that count from any frame; the others (verification wording, title and
+// headings) only count from a frame that has a code input itself, so a captcha or card
+// authentication frame can't vouch for a promo code field elsewhere on the page
+const TAB_WIDE_OTP_SIGNALS = ['hasEmailMention', 'hasSMSMention'];
+
+function mergeOTPSignals(frameSignals) {
+  const merged = {
+    hasCodeInput: false,
+    hasSplitCodeInput: false,
+    hasVerificationText: false,
+    hasEmailMention: false,
+    hasSMSMention: false,
+    hasVerificationTitle: false,
+    verificationHeadings: 0
+  };
+  for (const signals of frameSignals) {
+    const hasCodeInput = signals.hasCodeInput || signals.hasSplitCodeInput;
+    for (const [name, value] of Object.entries(signals)) {
+      if (!hasCodeInput && !TAB_WIDE_OTP_SIGNALS.includes(name)) continue;
+      if (name === 'verificationHeadings') merged[name] += value;
+      else merged[name] = merged[name] || value;
+    }
+  }
+  return merged;
+}
+
+function scoreOTPSignals(signals) {
+  const hasCodeInput = signals.hasCodeInput || signals.hasSplitCodeInput;
+  let confidence = 0;
+  if (hasCodeInput) confidence += 50;
+  if (signals.hasVerificationText) confidence += 30;
+  if (signals.hasEmailMention) confidence += 20;
+  // SMS codes won't be in the inbox
+  if (signals.hasSMSMention && !signals.hasEmailMention) confidence -= 40;
+  if (signals.hasVerificationTitle) confidence += 15;
+  confidence += signals.verificationHeadings * 10;
+
+  return { confidence, detected: confidence >= OTP_DETECTION_THRESHOLD && hasCodeInput };
+}
+
+// --- Frames of a tab (just the top frame if they can't be listed) ---
+async function listFrames(tabId) {
+  try {
+    return (await chrome.webNavigation.getAllFrames({ tabId })) || [{ frameId: 0 }];
+  } catch (e) {
+    console.log('[Jumpware] Could not list frames, checking the top frame only:', e.message);
+    return [{ frameId: 0 }];
+  }
+}
+
+async function detectOTPAcrossFrames(tabId) {
+  const frames = await listFrames(tabId);
+
+  // Frames without the content script (e.g. about:blank) just don't answer
+  const responses = await Promise.all(frames.map(({ frameId }) =>
+    chrome.tabs.sendMessage(tabId, { action: 'detectOTPScreen' }, { frameId }).catch(() => null)
+  ));
+  const signals = mergeOTPSignals(responses.filter(r => r && r.success).map(r => r.signals));
+  return { signals, ...scoreOTPSignals(signals) };
+}
+
+// --- On-screen links across frames ---
+// Every frame ranks its own links; each is told where it sits in the top frame's
+// viewport so all links are scored on one scale, then they are merged and re-ranked.
+const MAX_SCREEN_LINKS = 6;
+
+const intersectRects = (a, b) => {
+  const rect = {
+    left: Math.max(a.left, b.left),
+    top: Math.max(a.top, b.top),
+    right: Math.min(a.right, b.right),
+    bottom: Math.min(a.bottom, b.bottom)
+  };
+  return rect.left < rect.right && rect.top < rect.bottom ? rect : null;
+};
+
+// frameId -> { offset, clip, viewport } for every frame visible in the top viewport
+async function placeFrames(tabId, frames) {
+  const layouts = new Map(await Promise.all(frames.map(async ({ frameId }) => [
+    frameId,
+    await chrome.tabs.sendMessage(tabId, { action: 'collectFrameLayout' }, { frameId }).catch(() => null)
+  ])));
+  const top = layouts.get(0);
+  if (!top || !top.success) return new Map();
+
+  const viewport = top.viewport;
+  const placements = new Map([[0, {
+    offset: { x: 0, y: 0 },
+    clip: { left: 0, top: 0, right: viewport.width, bottom: viewport.height },
+    viewport
+  }]]);
+
+  // Walk down from the top frame; a child's rect is relative to its parent's viewport
+  const queue = [0];
+  while (queue.length > 0) {
+    const frameId = queue.shift();
+    const parent = placements.get(frameId);
+    const layout = layouts.get(frameId);
+    if (!layout || !layout.success) continue;
+    for (const child of layout.frames) {
+      if (placements.has(child.frameId)) continue;
+      const rect = {
+        left: child.rect.left + parent.offset.x,
+        top: child.rect.top + parent.offset.y,
+        right: child.rect.right + parent.offset.x,
+        bottom: child.rect.bottom + parent.offset.y
+      };
+      const clip = intersectRects(rect, parent.clip);
+      if (!clip) continue; // Scrolled out of view or hidden behind its parent's edges
+      placements.set(child.frameId, { offset: { x: rect.left, y: rect.top }, clip, viewport });
+      queue.push(child.frameId);
+    }
+  }
+  return placements;
+}
+
+// Ask every visible frame to rank its links with `action`, then merge them best first,
+// each tagged with the frame it's in
+async function rankLinksAcrossFrames(tabId, action) {
+  const placements = await placeFrames(tabId, await listFrames(tabId));
+  const responses = await Promise.all([...placements].map(async ([frameId, placement]) => {
+    const response = await chrome.tabs.sendMessage(tabId, { action, placement }, { frameId }).catch(() => null);
+    return response && response.success ? response.links.map(link => ({ ...link, frameId })) : [];
+  }));
+
+  // The same link shown in two frames counts once, at its best score
+  const seenUrls = new Set();
+  return responses
+    .flat()
+    .sort((a, b) => b.score - a.score)
+    .filter(link => !seenUrls.has(link.url) && seenUrls.add(link.url));
+}
+
+async function collectLinksAcrossFrames(tabId) {
+  return (await rankLinksAcrossFrames(tabId, 'collectVisibleLinks')).slice(0, MAX_SCREEN_LINKS);
+}
+
 // --- Request screen snapshot from active tab ---
 async function requestScreenSnapshot() {
   try {
@@ -356,40 +1266,70 @@ async function requestScreenSnapshot() {
 
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tab || !tab.id) return null;
+    let hostname = '';
+    try {
+      hostname = new URL(tab.url).hostname;
+    } catch {
+      // No URL for this tab (e.g. still loading); the default Gmail account is used
+    }
 
     // Check if we have a fresh snapshot for this tab
     if (screenSnapshot.tabId === tab.id && 
-        (Date.now() - screenSnapshot.timestamp) < SNAPSHOT_TTL) {
+        (Date.now() - screenSnapshot.timestamp) < settings.snapshotTtlSeconds * 1000) {
       return screenSnapshot;
     }
 
-    // Request visible links
+    // Request visible links from every frame
     let links = [];
     try {
-      const linksResponse = await chrome.tabs.sendMessage(tab.id, { action: 'collectVisibleLinks' });
-      if (linksResponse && linksResponse.success) {
-        links = linksResponse.links || [];
-      }
+      links = await collectLinksAcrossFrames(tab.id);
     } catch (e) {
       // Content script might not be available (e.g., chrome:// pages)
       console.log('[Jumpware] Could not collect visible links:', e.message);
     }
 
-    // Request OTP detection
-    let otpGmailUrl = null;
+    // Request OTP detection from every frame; the search is for the tab's site
+    let otpMailUrls = [];
+    let otpHostname = null;
     try {
-      const otpResponse = await chrome.tabs.sendMessage(tab.id, { action: 'detectOTPScreen' });
-      if (otpResponse && otpResponse.success && otpResponse.detected) {
-        otpGmailUrl = otpResponse.gmailUrl;
+      const otp = await detectOTPAcrossFrames(tab.id);
+      if (otp.detected) {
+        const mailResponse = await chrome.tabs.sendMessage(tab.id, {
+          action: 'buildMailSearchURLs',
+          mailProviders,
+          gmailAccount: gmailAccountFor(hostname),
+          senderMapping: findSenderMapping(hostname)?.mapping || null
+        }, { frameId: 0 });
+        if (mailResponse && mailResponse.success) {
+          otpMailUrls = mailResponse.mailUrls;
+          otpHostname = hostname;
+        }
       }
     } catch (e) {
       console.log('[Jumpware] Could not detect OTP screen:', e.message);
     }
 
     // Update snapshot
+    // In the tab of a code search just opened, offer to remember who sent the open email
+    let otpSender = null;
+    if (otpSearchTab && otpSearchTab.tabId === tab.id && Date.now() <= otpSearchTab.until) {
+      try {
+        const senderResponse = await chrome.tabs.sendMessage(tab.id, { action: 'readOpenEmailSender' }, { frameId: 0 });
+        const email = senderResponse && senderResponse.success ? senderResponse.email : null;
+        const known = findSenderMapping(otpSearchTab.hostname)?.mapping.from || [];
+        if (email && !known.includes(email.sender)) {
+          otpSender = { hostname: otpSearchTab.hostname, ...email };
+        }
+      } catch (e) {
+        console.log('[Jumpware] Could not read the open email:', e.message);
+      }
+    }
+
     screenSnapshot = {
       links,
-      otpGmailUrl,
+      otpMailUrls,
+      otpHostname,
+      otpSender,
       tabId: tab.id,
       timestamp: Date.now()
     };
@@ -401,19 +1341,126 @@ async function requestScreenSnapshot() {
   }
 }
 
+// --- Link hints ---
+// Labels the active page's top-ranked links across its frames (the same ranking as the
+// on-screen link suggestions); typing a label follows its link. Started by typing ";;"
+// in the omnibox (the keyword plus ";") or by the show-link-hints keyboard shortcut.
+// The top frame draws every label; a link picked in an iframe is followed by that frame.
+const isHintModeQuery = (text) => text.trim().startsWith(';');
+
+async function showLinkHints() {
+  try {
+    if (!(await ensureHostPermissions())) return;
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.id) return;
+    const links = await rankLinksAcrossFrames(tab.id, 'prepareLinkHints');
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'showLinkHints', links }, { frameId: 0 });
+    if (response && response.success) {
+      console.log(`[Jumpware] Showing ${response.count} link hints`);
+    }
+  } catch (e) {
+    // Content script might not be available (e.g., chrome:// pages)
+    console.log('[Jumpware] Could not show link hints:', e.message);
+  }
+}
+
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'show-link-hints') showLinkHints();
+});
+
+chrome.runtime.onMessage.addListener((request, sender) => {
+  if (request.action === 'followLinkHint' && sender.tab) {
+    chrome.tabs.sendMessage(sender.tab.id, { action: 'followLinkHint', id: request.id }, { frameId: request.frameId })
+      .catch(e => console.log('[Jumpware] Could not follow link hint:', e.message));
+  }
+});
+
+// --- Webmail providers searched for verification codes (chosen on the options page) ---
+let mailProviders = ['gmail'];
+
+const mailProviderName = (id) => MAIL_PROVIDERS.find(p => p.id === id)?.name || id;
+
+// --- Gmail account for verification code searches ---
+// { mapped: { host: account }, learned: { host: account } }. Mapped hosts come from the
+// options page and win over learned ones; a host also covers its subdomains.
+let gmailAccounts = { mapped: {}, learned: {} };
+
+async function loadGmailAccounts() {
+  const { [GMAIL_ACCOUNTS_KEY]: stored } = await chrome.storage.local.get(GMAIL_ACCOUNTS_KEY);
+  gmailAccounts = { mapped: {}, learned: {}, ...stored };
+}
+
+function gmailAccountFor(hostname) {
+  for (const hosts of [gmailAccounts.mapped, gmailAccounts.learned]) {
+    for (const [host, account] of Object.entries(hosts)) {
+      if (hostname === host || hostname.endsWith('.' + host)) return account;
+    }
+  }
+  return null;
+}
+
+// --- Verification email senders per site ---
+let senderMappings = {};
+
+// The mapping for a host or its closest parent domain: { host, mapping }
+function findSenderMapping(hostname) {
+  const host = Object.keys(senderMappings)
+    .filter(h => hostname === h || hostname.endsWith('.' + h))
+    .sort((a, b) => b.length - a.length)[0];
+  return host ? { host, mapping: senderMappings[host] } : null;
+}
+
+// Put a confirmed sender first in the site's mapping (creating one without a
+// subject filter if the site had none)
+function learnSender(hostname, sender) {
+  const { host, mapping } = findSenderMapping(hostname) || { host: hostname, mapping: { from: [], subjects: [] } };
+  senderMappings = {
+    ...senderMappings,
+    [host]: { ...mapping, from: [sender, ...mapping.from.filter(x => x !== sender)] }
+  };
+  chrome.storage.local.set({ [SENDER_MAPPINGS_KEY]: senderMappings })
+    .catch(e => console.log('[Jumpware] Error saving sender mappings:', e));
+  console.log(`[Jumpware] Learned verification email sender ${sender} for ${host}`);
+}
+
+// --- Learning from an opened verification code search ---
+// For a while after the search opens, the Gmail account the user ends up reading in that
+// tab (after switching accounts, if needed) is remembered for the site, and the omnibox
+// offers to remember the sender of the email they open
+const OTP_SEARCH_LEARNING_MS = 10 * 60 * 1000;
+let otpSearchTab = null; // { tabId, hostname, until }
+
+function learnGmailAccount(tabId, url) {
+  if (!otpSearchTab || otpSearchTab.tabId !== tabId) return;
+  if (Date.now() > otpSearchTab.until) {
+    otpSearchTab = null;
+    return;
+  }
+  const match = url.match(/^https:\/\/mail\.google\.com\/mail\/u\/(\d+)\//);
+  if (!match || gmailAccounts.learned[otpSearchTab.hostname] === match[1]) return;
+
+  gmailAccounts = {
+    ...gmailAccounts,
+    learned: { ...gmailAccounts.learned, [otpSearchTab.hostname]: match[1] }
+  };
+  chrome.storage.local.set({ [GMAIL_ACCOUNTS_KEY]: gmailAccounts })
+    .catch(e => console.log('[Jumpware] Error saving Gmail accounts:', e));
+  console.log(`[Jumpware] Learned Gmail account ${match[1]} for ${otpSearchTab.hostname}`);
+}
+
 // --- Clear snapshot on tab change ---
 chrome.tabs.onActivated.addListener(() => {
-  screenSnapshot = { links: [], otpGmailUrl: null, tabId: null, timestamp: 0 };
+  screenSnapshot = { links: [], otpMailUrls: [], otpHostname: null, otpSender: null, tabId: null, timestamp: 0 };
 });
 
 // Extract content asynchronously without blocking
 async function extractContentAsync(tabId, url) {
+  // Extracted content describes the whole page, not the fragment it was opened at
+  url = url.split('#')[0];
   const content = await extractContentFromTab(tabId);
   if (content) {
     // Ensure index is loaded
-    if (!indexCache) {
-      await loadIndexToMemory();
-    }
+    await indexReady;
     
     if (indexCache) {
       // Check by normalized URL, not exact URL
@@ -426,46 +1473,47 @@ async function extractContentAsync(tabId, url) {
         // Update existing item
         indexCache[itemIndex].content = content.content || '';
         indexCache[itemIndex].headings = content.headings || '';
-        if (content.title && content.title.trim() && content.title !== 'Untitled document') {
+        if (content.title && content.title.trim() && !/^Untitled (document|spreadsheet|presentation)$/.test(content.title.trim())) {
           indexCache[itemIndex].title = content.title.trim();
         }
         indexCache[itemIndex].extractedAt = content.extractedAt;
+        if (content.state) {
+          indexCache[itemIndex].state = content.state.toLowerCase();
+        }
+        if (content.details) {
+          indexCache[itemIndex].details = content.details;
+        }
+        searchIndex.add(normalizedUrl, indexCache[itemIndex], searchableText(indexCache[itemIndex]));
+        persistItem(indexCache[itemIndex]);
       } else {
         // Add new item
         const newItem = normalizeItem(url, '', content);
         if (newItem) {
-          indexCache.push(newItem);
+          upsertItem(newItem);
         }
       }
-      
-      // Persist to storage in background (don't await - non-blocking)
-      chrome.storage.local.set({ 
-        index: indexCache, 
-        index_timestamp: Date.now() 
-      }).catch(e => console.log('[Jumpware] Error saving index:', e));
+
+      // Docs headings become their own entries that open at the heading
+      const page = itemsByKey.get(normalizedUrl);
+      if (page && content.sections) updateSections(page, content.sections);
     }
   }
 }
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.url) learnGmailAccount(tabId, changeInfo.url);
+
   if (changeInfo.url || changeInfo.status === 'loading') {
     if (screenSnapshot.tabId === tabId) {
-      screenSnapshot = { links: [], otpGmailUrl: null, tabId: null, timestamp: 0 };
+      screenSnapshot = { links: [], otpMailUrls: [], otpHostname: null, otpSender: null, tabId: null, timestamp: 0 };
     }
   }
   
   // Extract content when page is fully loaded
   if (changeInfo.status === 'complete' && tab.url) {
     try {
-      // Allow chrome:// URLs and regular allowed hosts
-      if (isChromeUrl(tab.url) || (() => {
-        try {
-          const u = new URL(tab.url);
-          return HOST_ALLOW.test(u.hostname);
-        } catch {
-          return false;
-        }
-      })()) {
+      // Allow chrome:// URLs and URLs from enabled sources
+      if (isIndexableUrl(tab.url)) {
         // Reduced delay - extract after minimal wait for page render
         // Note: chrome:// URLs won't have content scripts, so extractContentAsync will gracefully fail
         setTimeout(() => extractContentAsync(tabId, tab.url), 200);
@@ -477,216 +1525,410 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
-// --- omnibox wiring ---
-chrome.omnibox.onInputStarted.addListener(async () => {
-  // Request fresh snapshot when omnibox opens
-  await requestScreenSnapshot();
-  
-  chrome.omnibox.setDefaultSuggestion({
-    description: "Type a doc/repo name (e.g., ; proposal draft  ·  ; owner/repo)"
-  });
-});
+// --- Unified ranking across suggestion sources ---
+// Every source turns the query into candidates { content, description, score, dedupKey? }
+// on one scale: the weighted fuzzy text score (0 for an exact match, lower for looser ones)
+// plus boosts. Index items add their cluster, frecency and selection boosts; on-screen
+// context (verification code searches, prominent links) adds a boost of its own and
+// shows without a query. The suggestion list and the Enter action share this order.
 
-chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
-  // Use cached snapshot - don't request new one on every keystroke!
-  // This avoids slow IPC calls to content scripts on every keystroke
-  const snapshot = screenSnapshot.tabId ? screenSnapshot : null;
-  
-  const suggestions = [];
-  const q = text.trim().toLowerCase();
-  
-  // If query is a full URL, prioritize showing it as first suggestion
-  if (isFullUrlQuery(text)) {
-    const normalizedUrl = normalizeUrlQuery(text);
-    suggestions.push({
-      content: normalizedUrl,
-      description: `Open URL: <url>${escapeForOmnibox(normalizedUrl)}</url>`
+// Text score of an on-screen candidate: 0 when nothing is typed, so it still shows
+const contextTextScore = (q, fields) => q ? explainTextScore(q, fields).score : 0;
+
+// --- Aliases (managed on the options page) ---
+// "keyword rest": a %s template gets the rest substituted (path slashes kept, so
+// "gh foo/bar" can fill github.com/%s); a plain URL needs the exact keyword alone.
+// Aliases always rank first.
+let aliases = {};
+
+function aliasCandidates(text) {
+  const [keyword, ...words] = text.trim().split(/\s+/);
+  const template = aliases[keyword.toLowerCase()];
+  if (!template) return [];
+
+  const rest = words.join(' ');
+  let url;
+  if (template.includes('%s')) {
+    if (!rest) return [];
+    url = template.replaceAll('%s', rest.split('/').map(encodeURIComponent).join('/'));
+  } else {
+    if (rest) return [];
+    url = template;
+  }
+  return [{
+    content: url,
+    description: `Alias <match>${escapeForOmnibox(keyword)}</match>: <url>${escapeForOmnibox(url)}</url>`,
+    score: Infinity
+  }];
+}
+
+function typedUrlCandidates(text) {
+  if (!isFullUrlQuery(text)) return [];
+  const url = normalizeUrlQuery(text);
+  // A typed URL is taken literally, so it always ranks first
+  return [{
+    content: url,
+    description: `Open URL: <url>${escapeForOmnibox(url)}</url>`,
+    score: Infinity
+  }];
+}
+
+function screenCandidates(q, snapshot) {
+  if (!snapshot) return [];
+  const candidates = [];
+
+  // Confirm which email held the code, so the next search for that site is precise
+  if (snapshot.otpSender) {
+    const { hostname, sender, subject } = snapshot.otpSender;
+    candidates.push({
+      content: buildAction('confirm-sender', { host: hostname, sender }),
+      description: `Remember: codes for ${escapeForOmnibox(hostname)} come from <match>${escapeForOmnibox(sender)}</match>` +
+        (subject ? ` <dim>(${escapeForOmnibox(subject)})</dim>` : ''),
+      score: contextTextScore(q, { title: `remember verification code sender ${sender}`, url: hostname }) +
+        settings.verificationCodeBoost
     });
   }
 
-  // 1. OTP Gmail suggestion (highest priority if detected)
-  // Always show as first suggestion when OTP screen is detected
-  if (snapshot && snapshot.otpGmailUrl) {
-    suggestions.push({
-      content: snapshot.otpGmailUrl,
-      description: `Open Gmail: verification code — <url>${escapeForOmnibox(snapshot.otpGmailUrl)}</url>`
+  // Webmail searches for a verification code, one per chosen provider
+  for (const { provider, url } of snapshot.otpMailUrls) {
+    const name = mailProviderName(provider);
+    candidates.push({
+      content: url,
+      description: `Open ${escapeForOmnibox(name)}: verification code — <url>${escapeForOmnibox(url)}</url>`,
+      score: contextTextScore(q, { title: `${name} verification code`, url }) + settings.verificationCodeBoost
     });
   }
 
-  // 2. On-screen links
-  if (snapshot && snapshot.links && snapshot.links.length > 0) {
-    for (const link of snapshot.links) {
-      // Filter by query if provided
-      if (!q || link.text.toLowerCase().includes(q) || link.url.toLowerCase().includes(q)) {
-        suggestions.push({
-          content: link.url,
-          description: `Open link on screen: ${escapeForOmnibox(link.text)} — <url>${escapeForOmnibox(link.url)}</url>`
-        });
-      }
+  // On-screen links, boosted in proportion to how prominent they are on the page
+  const links = snapshot.links || [];
+  const bestLinkScore = Math.max(0, ...links.map(link => link.score));
+  for (const link of links) {
+    const text = link.text.toLowerCase() === link.url.toLowerCase() ? '' : link.text;
+    const score = contextTextScore(q, { title: text, url: link.url });
+    if (score === -Infinity) continue;
+    const prominence = bestLinkScore > 0 ? Math.max(0, link.score) / bestLinkScore : 0;
+    candidates.push({
+      content: link.url,
+      description: `Open link on screen: ${highlightMatches(link.text, q ? fuzzyMatch(q, link.text).positions : [])}` +
+        ` — <url>${escapeForOmnibox(link.url)}</url>`,
+      score: score + settings.screenLinkBoost * prominence
+    });
+  }
+
+  return candidates.filter(candidate => candidate.score !== -Infinity);
+}
+
+// --- Recently closed tabs and windows (chrome.sessions) ---
+// Only shown for a matching query; picking one restores it with its tab history and
+// scroll position. A closed tab takes the place of the same page from other sources.
+// The boost halves for every day since the tab or window was closed.
+const MAX_RECENTLY_CLOSED = 25;
+const RECENTLY_CLOSED_HALF_LIFE_DAYS = 1;
+
+const recentlyClosedBoost = (lastModified) => {
+  const ageDays = Math.max(0, Date.now() - lastModified * 1000) / DAY_MS;
+  return settings.recentlyClosedBoost * Math.pow(0.5, ageDays / RECENTLY_CLOSED_HALF_LIFE_DAYS);
+};
+
+function describeClosedAge(lastModified) {
+  const minutes = Math.round((Date.now() / 1000 - lastModified) / 60);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  return hours < 24 ? `${hours} h ago` : `${Math.round(hours / 24)} d ago`;
+}
+
+async function recentlyClosedCandidates(q) {
+  if (!q) return [];
+  let sessions = [];
+  try {
+    sessions = await chrome.sessions.getRecentlyClosed({ maxResults: MAX_RECENTLY_CLOSED });
+  } catch (e) {
+    console.log('[Jumpware] Could not read recently closed tabs:', e.message);
+    return [];
+  }
+
+  const candidates = [];
+  for (const session of sessions) {
+    const age = `<dim>(closed ${describeClosedAge(session.lastModified)})</dim>`;
+    if (session.tab && session.tab.url) {
+      const { title = '', url, sessionId } = session.tab;
+      const score = explainTextScore(q, { title, url }).score;
+      if (score === -Infinity) continue;
+      candidates.push({
+        content: buildAction('reopen', { session: sessionId }),
+        description: `Reopen: ${highlightMatches(title || url, fuzzyMatch(q, title || url).positions)}` +
+          ` — <url>${escapeForOmnibox(url)}</url> ${age}`,
+        score: score + recentlyClosedBoost(session.lastModified),
+        dedupKey: normalizeUrlForDedup(url)
+      });
+    } else if (session.window && session.window.tabs && session.window.tabs.length > 0) {
+      // A window matches on any of its tabs' titles and URLs
+      const tabs = session.window.tabs;
+      const title = tabs.map(tab => tab.title || tab.url).join(' · ');
+      const score = explainTextScore(q, { title, url: tabs.map(tab => tab.url).join(' ') }).score;
+      if (score === -Infinity) continue;
+      candidates.push({
+        content: buildAction('reopen', { session: session.window.sessionId }),
+        description: `Reopen window (${tabs.length} tab${tabs.length === 1 ? '' : 's'}): ` +
+          `${highlightMatches(title, fuzzyMatch(q, title).positions)} ${age}`,
+        score: score + recentlyClosedBoost(session.lastModified)
+      });
     }
   }
+  return candidates;
+}
 
-  // 3. Docs/GitHub suggestions
+// Index items, deduplicated by normalized URL. hasGoodMatch is false (and no items are
+// returned) when the best match is below the match quality threshold.
+async function indexCandidates(q) {
   const idx = await getIndexFast(); // Use fast in-memory cache
-  
-  // Quick pre-filter: only fuzzy score items that might match
-  // This eliminates most items before expensive fuzzy matching
-  const quickFilter = q.length > 0 
-    ? idx.filter(item => {
-        const searchable = `${item.title} ${item.url}`.toLowerCase();
-        return searchable.includes(q[0]); // At least first char must match
-      })
-    : idx;
-  
-  // Get currently open URLs for cluster boost calculation
-  const openUrls = await getOpenNormalizedUrls();
-  
-  // Calculate weighted text scores with separate field scoring
-  // Weights: title (1.5), content (1.0), headings (0.8), url (0.5), kind (0.3)
-  const scored = quickFilter.map(item => {
-    const textScore = calculateWeightedTextScore(q, item);
-    
-    // Apply cluster boost
-    const clusterBoost = calculateClusterBoost(item.url, openUrls);
-    
-    return { item, score: textScore + clusterBoost };
-  }).filter(x => x.score !== -Infinity);
 
+  // Open URLs (cluster boost) and remembered picks (selection boost) for this query
+  const context = await buildScoringContext(q);
+
+  // Candidates from the inverted index, scored by weighted text score plus
+  // cluster, frecency and selection boosts
+  const scored = scoreCandidates(q, selectCandidates(q, idx), context);
   scored.sort((a, b) => b.score - a.score);
 
-  // Deduplicate suggestions by normalized URL
   const seenUrls = new Set();
   const uniqueScored = [];
   for (const { item, score } of scored) {
     const normalized = normalizeUrlForDedup(item.url);
     if (!seenUrls.has(normalized)) {
       seenUrls.add(normalized);
-      uniqueScored.push({ item, score });
+      uniqueScored.push({ item, score, open: context.openUrls.includes(normalized) });
+      if (uniqueScored.length === settings.maxSuggestions) break;
     }
   }
 
-  // Add Docs/GitHub suggestions, maintaining max 6 total
-  // Only add suggestions if the best match meets quality threshold
-  const maxSuggestions = 6;
-  const remainingSlots = maxSuggestions - suggestions.length;
-  
-  let hasGoodMatch = false;
-  if (remainingSlots > 0 && uniqueScored.length > 0) {
-    // Check if best match meets quality threshold
-    const bestMatch = uniqueScored[0];
-    if (bestMatch.score >= MATCH_QUALITY_THRESHOLD) {
-      hasGoodMatch = true;
-      const docsGithubSuggestions = uniqueScored.slice(0, remainingSlots).map(({ item }) => ({
-        content: item.url,
-        description: `${item.kind}: ${escapeForOmnibox(item.title)} — <url>${escapeForOmnibox(item.url)}</url>`
-      }));
-      suggestions.push(...docsGithubSuggestions);
-    } else {
-      // Best match is too poor, don't show any suggestions
-      console.log(`[Jumpware] Best match score ${bestMatch.score} below threshold ${MATCH_QUALITY_THRESHOLD}, not showing suggestions`);
+  if (uniqueScored.length === 0) return { candidates: [], hasGoodMatch: false };
+  if (uniqueScored[0].score < settings.matchQualityThreshold) {
+    if (q) {
+      console.log(`[Jumpware] Best match score ${uniqueScored[0].score} below threshold ${settings.matchQualityThreshold}, not showing index suggestions`);
     }
+    return { candidates: [], hasGoodMatch: false };
   }
+
+  return {
+    // Pages already open in a tab are switched to on Enter (see findOpenTab)
+    candidates: uniqueScored.map(({ item, score, open }) => ({
+      content: itemOpenUrl(item),
+      description: (open ? 'Switch to tab: ' : '') + describeIndexItem(q, item),
+      score
+    })),
+    hasGoodMatch: true
+  };
+}
+
+// --- Web search (providers chosen on the options page) ---
+// Defaults until the stored search settings are loaded
+let searchProviders = resolveSearchProviders(null);
+
+function searchCandidate(provider, query, score) {
+  const url = provider.url.replaceAll('%s', encodeURIComponent(query));
+  return {
+    content: url,
+    description: `Search ${escapeForOmnibox(provider.name)}: ${escapeForOmnibox(query)} — <url>${escapeForOmnibox(url)}</url>`,
+    score,
+    // Search URLs only differ in their query, which the normal dedup key drops
+    dedupKey: url
+  };
+}
+
+// "prefix query" searches that provider directly, ranked first like an alias
+function prefixSearchCandidates(text) {
+  const [prefix, ...words] = text.trim().split(/\s+/);
+  const provider = searchProviders.find(p => p.prefix === prefix.toLowerCase());
+  const query = words.join(' ');
+  return provider && query ? [searchCandidate(provider, query, Infinity)] : [];
+}
+
+// Searches for the typed text with the default and other shown providers, ranked last
+const fallbackCandidates = (text) =>
+  searchProviders.filter(p => p.shown).map(provider => searchCandidate(provider, text.trim(), -Infinity));
+
+// All candidates for the typed text, best first, one per destination
+async function rankSuggestions(text, snapshot) {
+  const q = text.trim().toLowerCase();
+  const index = await indexCandidates(q);
+
+  const candidates = [
+    ...aliasCandidates(text),
+    ...prefixSearchCandidates(text),
+    ...typedUrlCandidates(text),
+    ...screenCandidates(q, snapshot),
+    ...(await recentlyClosedCandidates(q)),
+    ...index.candidates
+  ];
+  // Without a good index match, offer web searches
+  if (!index.hasGoodMatch && q) candidates.push(...fallbackCandidates(text));
+
+  // Stable sort: equal scores keep source order (e.g. the chosen webmail provider order,
+  // or an alias before a typed URL; Infinity - Infinity is NaN, hence the || 0)
+  candidates.sort((a, b) => (b.score - a.score) || 0);
+
+  // The same page offered by two sources (e.g. an indexed repo linked on screen) shows once
+  const seen = new Set();
+  return candidates.filter(candidate => {
+    const key = candidate.dedupKey ||
+      (parseAction(candidate.content) ? candidate.content : normalizeUrlForDedup(candidate.content));
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// --- omnibox wiring ---
+chrome.omnibox.onInputStarted.addListener(async () => {
+  // Request fresh snapshot when omnibox opens
+  await requestScreenSnapshot();
   
-  // If no good matches found and user has typed something, suggest Google search
-  if (!hasGoodMatch && q.length > 0 && suggestions.length < maxSuggestions) {
-    const googleSearchUrl = `https://www.google.com/search?q=${encodeURIComponent(text.trim())}`;
-    suggestions.push({
-      content: googleSearchUrl,
-      description: `Search Google: ${escapeForOmnibox(text.trim())} — <url>${escapeForOmnibox(googleSearchUrl)}</url>`
-    });
+  chrome.omnibox.setDefaultSuggestion({
+    description: "Type a doc/repo name (e.g., ; proposal draft  ·  ; owner/repo)"
+  });
+});
+
+// Last text typed into the omnibox; onInputEntered only sees the picked suggestion's URL
+let lastInputText = '';
+// The ranking listed for it and the snapshot it used, so Enter opens the row shown on top
+let lastRanking = null;
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  lastInputText = text;
+
+  if (isHintModeQuery(text)) {
+    suggest([{
+      content: buildAction('link-hints', {}),
+      description: 'Show link hints on this page <dim>— then type a label to follow its link</dim>'
+    }]);
+    return;
+  }
+
+  const explain = parseExplainQuery(text);
+  if (explain.explain) {
+    suggest(await buildExplainSuggestions(explain.query));
+    return;
   }
 
-  // Limit to max 6 suggestions
-  suggest(suggestions.slice(0, maxSuggestions));
+  // Use cached snapshot - don't request new one on every keystroke!
+  // This avoids slow IPC calls to content scripts on every keystroke
+  const snapshot = screenSnapshot.tabId ? screenSnapshot : null;
+
+  // Same order the Enter action picks from, limited to the configured maximum
+  const ranking = { text, snapshot, ranked: rankSuggestions(text, snapshot) };
+  lastRanking = ranking;
+  const ranked = await ranking.ranked;
+  suggest(ranked.slice(0, settings.maxSuggestions).map(({ content, description }) => ({ content, description })));
 });
 
 // open picked suggestion (or fall back to web search if user typed a raw string)
 chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  // Action suggestions run in place instead of opening a page; Enter on ";;" shows link hints
+  const action = parseAction(text) || (isHintModeQuery(text) ? { name: 'link-hints', params: {} } : null);
+  if (action) {
+    runAction(action);
+    return;
+  }
+
   let url;
+  let typed = parseExplainQuery(text).query;
   
   // If text is already a URL (user selected a suggestion), use it
   if (/^https?:\/\//i.test(text) || /^chrome:\/\//i.test(text) || /^chrome-extension:\/\//i.test(text)) {
     url = text;
+    typed = parseExplainQuery(lastInputText).query;
   } 
-  // If query is a full URL, open it directly (override suggestions)
-  else if (isFullUrlQuery(text)) {
-    url = normalizeUrlQuery(text);
-  } else {
-    // Get fresh snapshot to check for OTP Gmail or on-screen links
-    const snapshot = await requestScreenSnapshot();
-    const q = text.trim().toLowerCase();
-    
-    // Priority 1: OTP Gmail (if detected, always prioritize when Enter is pressed)
-    if (snapshot && snapshot.otpGmailUrl) {
-      url = snapshot.otpGmailUrl;
-    }
-    // Priority 2: On-screen links (if query matches)
-    else if (snapshot && snapshot.links && snapshot.links.length > 0) {
-      const matchingLink = snapshot.links.find(link => 
-        !q || link.text.toLowerCase().includes(q) || link.url.toLowerCase().includes(q)
-      );
-      if (matchingLink) {
-        url = matchingLink.url;
-      }
+  // Otherwise open the top suggestion, exactly as the list ranks it
+  else {
+    // Reuse the listed ranking (awaiting it if still in progress); a fresh snapshot could
+    // reorder it. Text the list didn't rank (e.g. an explain query) uses the cached snapshot.
+    const ranking = lastRanking && lastRanking.text === text ? lastRanking : null;
+    const [top] = await (ranking
+      ? ranking.ranked
+      : rankSuggestions(typed, screenSnapshot.tabId ? screenSnapshot : null));
+    if (!top) {
+      console.log('[Jumpware] Nothing to open for an empty query');
+      return;
     }
-    
-    // Priority 3: Docs/GitHub suggestions
-    if (!url) {
-      const idx = await getIndexFast(); // Use fast in-memory cache
-      
-      // Pre-filter for performance
-      const quickFilter = q.length > 0 
-        ? idx.filter(item => {
-            const searchable = `${item.title} ${item.url}`.toLowerCase();
-            return searchable.includes(q[0]);
-          })
-        : idx;
-      
-      // Get currently open URLs for cluster boost calculation
-      const openUrls = await getOpenNormalizedUrls();
-      
-      const scored = quickFilter.map(item => {
-        // Calculate weighted text scores with separate field scoring
-        // Weights: title (1.5), content (1.0), headings (0.8), url (0.5), kind (0.3)
-        const textScore = calculateWeightedTextScore(q, item);
-        
-        // Apply cluster boost
-        const clusterBoost = calculateClusterBoost(item.url, openUrls);
-        
-        return { item, score: textScore + clusterBoost };
-      }).filter(x => x.score !== -Infinity);
-
-      scored.sort((a, b) => b.score - a.score);
-      
-      // Deduplicate by normalized URL
-      const seenUrls = new Set();
-      const uniqueScored = [];
-      for (const { item, score } of scored) {
-        const normalized = normalizeUrlForDedup(item.url);
-        if (!seenUrls.has(normalized)) {
-          seenUrls.add(normalized);
-          uniqueScored.push({ item, score });
-        }
-      }
-      
-      // Use first suggestion if available and meets quality threshold, otherwise fall back to Google search
-      if (uniqueScored.length > 0 && uniqueScored[0].score >= MATCH_QUALITY_THRESHOLD) {
-        url = uniqueScored[0].item.url;
-      } else {
-        // No good matches, fall through to Google search
-        if (uniqueScored.length > 0) {
-          console.log(`[Jumpware] Best match score ${uniqueScored[0].score} below threshold ${MATCH_QUALITY_THRESHOLD}, falling through to Google`);
-        }
-        url = `https://www.google.com/search?q=${encodeURIComponent(text)}`;
-      }
+
+    const topAction = parseAction(top.content);
+    if (topAction) {
+      runAction(topAction);
+      return;
     }
+    url = top.content;
   }
 
-  if (disposition === "currentTab") chrome.tabs.update({ url });
-  else if (disposition === "newForegroundTab") chrome.tabs.create({ url });
-  else chrome.tabs.create({ url, active: false });
+  // Remember the pick so it ranks higher for this query next time
+  recordSelection(typed, url);
+
+  const otpHostname = screenSnapshot.otpMailUrls.some(mail => mail.url === url) ? screenSnapshot.otpHostname : null;
+
+  // Plain Enter switches to a tab that already has the page; Alt+Enter (a new tab
+  // disposition) always opens it again
+  const openTab = disposition === "currentTab" ? await findOpenTab(url) : null;
+
+  let tab;
+  if (openTab) tab = await switchToTab(openTab);
+  else if (disposition === "currentTab") tab = await chrome.tabs.update({ url });
+  else if (disposition === "newForegroundTab") tab = await chrome.tabs.create({ url });
+  else tab = await chrome.tabs.create({ url, active: false });
+
+  if (otpHostname && tab) {
+    otpSearchTab = { tabId: tab.id, hostname: otpHostname, until: Date.now() + OTP_SEARCH_LEARNING_MS };
+  }
 });
 
+// --- Switch to an already-open tab ---
+// Only indexed pages are matched, by dedup key (so another account or a different
+// edit/view URL of the same doc counts). Other URLs such as searches and webmail
+// always open, since their dedup key drops the query that tells them apart.
+async function findOpenTab(url) {
+  if (!isIndexedUrl(url)) return null;
+  const normalized = normalizeUrlForDedup(url);
+  try {
+    const tabs = await chrome.tabs.query({});
+    return tabs.find(tab => tab.url && normalizeUrlForDedup(tab.url) === normalized) || null;
+  } catch (e) {
+    console.log('[Jumpware] Error looking for an open tab:', e);
+    return null;
+  }
+}
+
+async function switchToTab(tab) {
+  await chrome.windows.update(tab.windowId, { focused: true });
+  return chrome.tabs.update(tab.id, { active: true });
+}
+
+// --- Action suggestions ---
+// Suggestions that do something rather than open a page carry
+// "jumpware:<action>?<params>" as their content
+const ACTION_PREFIX = 'jumpware:';
+
+const buildAction = (name, params) => `${ACTION_PREFIX}${name}?${new URLSearchParams(params)}`;
+
+function parseAction(text) {
+  if (!text.startsWith(ACTION_PREFIX)) return null;
+  const [name, query = ''] = text.slice(ACTION_PREFIX.length).split('?');
+  return { name, params: Object.fromEntries(new URLSearchParams(query)) };
+}
+
+function runAction({ name, params }) {
+  if (name === 'confirm-sender' && params.host && params.sender) {
+    learnSender(params.host, params.sender);
+    screenSnapshot.otpSender = null;
+  } else if (name === 'link-hints') {
+    showLinkHints();
+  } else if (name === 'reopen' && params.session) {
+    chrome.sessions.restore(params.session)
+      .catch(e => console.log('[Jumpware] Could not reopen closed tab:', e.message));
+  } else {
+    console.log(`[Jumpware] Unknown action "${name}"`);
+  }
+}
+
 // --- Detect if query is a full URL ---
 function isFullUrlQuery(query) {
   const trimmed = query.trim();
@@ -719,26 +1961,98 @@ function escapeForOmnibox(s) {
     .replaceAll(">", "&gt;");
 }
 
+// Escape text and wrap the matched character positions in <match>
+function highlightMatches(text, positions) {
+  // Positions index the lowercased text; skip highlighting if lowercasing changed its length
+  if (!text || positions.length === 0 || text.toLowerCase().length !== text.length) {
+    return escapeForOmnibox(text);
+  }
+  const marked = new Set(positions);
+  let out = '';
+  for (let i = 0; i < text.length;) {
+    const inMatch = marked.has(i);
+    let j = i;
+    while (j < text.length && marked.has(j) === inMatch) j++;
+    const part = escapeForOmnibox(text.slice(i, j));
+    out += inMatch ? `<match>${part}</match>` : part;
+    i = j;
+  }
+  return out;
+}
+
+// A short excerpt of text around its first matched position
+function matchSnippet(text, positions, radius = 40) {
+  const first = Math.min(...positions);
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, first + radius * 2);
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+}
+
+// --- Suggestion description for an index item ---
+// Matched characters in the title and URL are highlighted. The title is matched the way
+// it's scored, together with its parent's title (see titleText), so a section found
+// through its doc's title highlights that in the "in <doc>" label. When the query only
+// matched hidden page text, a dimmed excerpt shows where.
+function describeIndexItem(q, item) {
+  const title = item.title || '';
+  const url = item.url || '';
+  const titleMatch = fuzzyMatch(q, titleText(item));
+  const urlMatch = fuzzyMatch(q, url);
+
+  // Split the positions between the title and the parent title that follows it
+  const parentStart = title ? title.length + 1 : 0;
+  const titlePositions = titleMatch.positions.filter(p => p < title.length);
+  const parentPositions = item.parentTitle
+    ? titleMatch.positions
+      .filter(p => p >= parentStart && p < parentStart + item.parentTitle.length)
+      .map(p => p - parentStart)
+    : [];
+
+  // The kind label ends with the parent title when there is one
+  const kindLabel = describeItemKind(item);
+  const kind = parentPositions.length > 0
+    ? escapeForOmnibox(kindLabel.slice(0, -item.parentTitle.length)) + highlightMatches(item.parentTitle, parentPositions)
+    : escapeForOmnibox(kindLabel);
+
+  let description = `${kind}: ${highlightMatches(title, titlePositions)}` +
+    ` — <url>${highlightMatches(url, urlMatch.positions)}</url>`;
+
+  if (titleMatch.positions.length === 0 && urlMatch.positions.length === 0 && q.length >= 3) {
+    const hidden = [['heading', item.headings], ['details', detailsText(item)], ['page text', item.content]];
+    for (const [label, value] of hidden) {
+      const text = value || '';
+      const match = fuzzyMatch(q, text);
+      if (match.positions.length > 0) {
+        description += ` <dim>(in ${label}: ${escapeForOmnibox(matchSnippet(text, match.positions))})</dim>`;
+        break;
+      }
+    }
+  }
+  return description;
+}
+
 // --- Link Clustering: Co-occurrence Tracking ---
 let coOccurrenceData = null;
 const CO_OCCURRENCE_SNAPSHOT_INTERVAL = 45000; // 45 seconds
 let lastSnapshotTime = 0;
 let snapshotTimeout = null;
-const CLUSTER_BOOST_BASE = 50; // Base boost multiplier
+
+// URLs whose co-occurrence counts changed since the last save
+const dirtyCoOccurrenceUrls = new Set();
 
 // Load co-occurrence data from storage
 async function loadCoOccurrenceData() {
-  const { urlCoOccurrence } = await chrome.storage.local.get(['urlCoOccurrence']);
-  if (urlCoOccurrence) {
-    coOccurrenceData = urlCoOccurrence;
-  } else {
-    coOccurrenceData = {};
-  }
+  coOccurrenceData = await loadCoOccurrence();
 }
 
-// Save co-occurrence data to storage
-async function saveCoOccurrenceData() {
-  await chrome.storage.local.set({ urlCoOccurrence: coOccurrenceData });
+// Save changed co-occurrence records to storage
+function saveCoOccurrenceData() {
+  for (const url of dirtyCoOccurrenceUrls) {
+    if (coOccurrenceData[url]) saveCoOccurrence(url, coOccurrenceData[url]);
+    else deleteCoOccurrence(url);
+  }
+  dirtyCoOccurrenceUrls.clear();
 }
 
 // Record co-occurrence of URLs
@@ -766,14 +2080,42 @@ function recordCoOccurrence(urls) {
       // Increment co-occurrence count for both directions
       coOccurrenceData[url1][url2] = (coOccurrenceData[url1][url2] || 0) + 1;
       coOccurrenceData[url2][url1] = (coOccurrenceData[url2][url1] || 0) + 1;
+      dirtyCoOccurrenceUrls.add(url1);
+      dirtyCoOccurrenceUrls.add(url2);
     }
   }
   
   // Save periodically (debounced)
   if (snapshotTimeout) clearTimeout(snapshotTimeout);
-  snapshotTimeout = setTimeout(() => {
-    saveCoOccurrenceData().catch(e => console.log('[Jumpware] Error saving co-occurrence data:', e));
-  }, 5000); // Save 5 seconds after last update
+  snapshotTimeout = setTimeout(saveCoOccurrenceData, 5000); // Save 5 seconds after last update
+}
+
+// Drop co-occurrence edges touching removed pages (keys = null drops all of them)
+function forgetCoOccurrences(keys) {
+  if (!coOccurrenceData) return;
+  if (!keys) {
+    coOccurrenceData = {};
+    dirtyCoOccurrenceUrls.clear();
+    clearCoOccurrence();
+    return;
+  }
+
+  for (const key of keys) {
+    if (coOccurrenceData[key]) {
+      delete coOccurrenceData[key];
+      dirtyCoOccurrenceUrls.add(key);
+    }
+  }
+  for (const [url, coUrls] of Object.entries(coOccurrenceData)) {
+    for (const key of keys) {
+      if (key in coUrls) {
+        delete coUrls[key];
+        dirtyCoOccurrenceUrls.add(url);
+      }
+    }
+    if (Object.keys(coUrls).length === 0) delete coOccurrenceData[url];
+  }
+  saveCoOccurrenceData();
 }
 
 // Get currently open normalized URLs
@@ -826,7 +2168,7 @@ function calculateClusterBoost(suggestionUrl, openUrls) {
   const frequencyWeight = totalFrequency > 0 ? openFrequency / totalFrequency : 0;
   
   // Boost formula: proportional to cluster participation and frequency
-  const boost = openRatio * frequencyWeight * CLUSTER_BOOST_BASE;
+  const boost = openRatio * frequencyWeight * settings.clusterBoostBase;
   
   return boost;
 }
@@ -837,14 +2179,7 @@ async function snapshotOpenTabs() {
     const tabs = await chrome.tabs.query({});
     const urls = tabs
       .map(tab => tab.url)
-      .filter(url => url && (isChromeUrl(url) || (() => {
-        try {
-          const u = new URL(url);
-          return HOST_ALLOW.test(u.hostname);
-        } catch {
-          return false;
-        }
-      })()));
+      .filter(url => url && isIndexableUrl(url));
     
     if (urls.length > 1) {
       recordCoOccurrence(urls);
@@ -885,14 +2220,29 @@ chrome.tabs.onRemoved.addListener(async () => {
   }, 2000);
 });
 
+// Open IndexedDB once sources are known (older stored items are keyed by their dedup key)
+const storageReady = loadSources()
+  .then(() => initStorage(item => normalizeUrlForDedup(item.url)));
+
 // Initialize co-occurrence tracking
-loadCoOccurrenceData().then(() => {
+storageReady.then(loadCoOccurrenceData).then(() => {
   // Take initial snapshot
   snapshotOpenTabs();
   // Schedule periodic snapshots
   scheduleNextSnapshot();
 });
 
-// build initial index on install/activate and load into memory
-loadIndexToMemory();
+// load settings and storage, then build initial index on install/activate and load into memory
+// (history and bookmark listeners wait for this before touching the index)
+const indexReady = Promise.all([
+  loadSettings().then(loaded => { settings = loaded; }),
+  storageReady,
+  loadSelectionMemory()
+]).then(loadIndexToMemory);
+
+loadGmailAccounts();
+loadSenderMappings().then(loaded => { senderMappings = loaded; });
+loadMailProviders().then(loaded => { mailProviders = loaded; });
+loadAliases().then(loaded => { aliases = loaded; });
+loadSearchSettings().then(loaded => { searchProviders = resolveSearchProviders(loaded); });
 
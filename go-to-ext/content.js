@@ -8,9 +8,11 @@ const CTA_WORDS = [
 ];
 
 // --- Verification code phrases ---
+// No bare "verification" or "authentication": address verification, captchas and card
+// authentication use them without any code to enter
 const VERIFICATION_PHRASES = [
   "verification code", "authentication code", "enter the code", "we emailed a code",
-  "two-factor", "one-time", "security code", "verification", "authentication"
+  "two-factor", "one-time", "security code", "sign-in code", "verify your email"
 ];
 
 const EMAIL_MENTIONS = [
@@ -21,27 +23,36 @@ const SMS_MENTIONS = [
   "text message", "sms", "text", "phone number"
 ];
 
-// --- Collect visible links from viewport ---
-function collectVisibleLinks() {
-  const startTime = performance.now();
+// --- Rank the visible links in the viewport ---
+// Returns every candidate, best first, with its element and on-screen rect.
+// placement positions this frame in the top frame's viewport, so links from every
+// frame are scored on one scale: { offset: {x, y}, clip, viewport: {width, height} },
+// where clip is the part of the top viewport this frame is visible in. Without it
+// the frame's own viewport is used.
+function rankVisibleLinks(placement = null) {
+  const offset = placement ? placement.offset : { x: 0, y: 0 };
+  const size = placement ? placement.viewport : { width: window.innerWidth, height: window.innerHeight };
+  const clip = placement ? placement.clip : { left: 0, top: 0, right: size.width, bottom: size.height };
   const viewport = {
-    width: window.innerWidth,
-    height: window.innerHeight,
-    centerX: window.innerWidth / 2,
-    centerY: window.innerHeight / 2
+    width: size.width,
+    height: size.height,
+    centerX: size.width / 2,
+    centerY: size.height / 2
   };
 
   const candidates = [];
   const seenUrls = new Set();
   const currentUrl = window.location.href.split('#')[0]; // Remove hash
 
-  // Get all anchor elements
-  const anchors = Array.from(document.querySelectorAll('a[href]'));
+  // Get all anchor elements, including those in open shadow roots
+  const shadowRoots = collectShadowRoots();
+  const anchors = deepQuerySelectorAll('a[href]', shadowRoots);
   
   // Get focusable elements that might navigate (buttons, divs with click handlers)
-  const focusables = Array.from(document.querySelectorAll(
-    'button, [role="button"], [role="link"], [onclick], [data-href]'
-  ));
+  const focusables = deepQuerySelectorAll(
+    'button, [role="button"], [role="link"], [onclick], [data-href]',
+    shadowRoots
+  );
 
   // Combine and process
   const allElements = [...anchors, ...focusables];
@@ -70,15 +81,23 @@ function collectVisibleLinks() {
       if (seenUrls.has(href)) continue;
       seenUrls.add(href);
 
-      // Check if element is in viewport
-      const rect = el.getBoundingClientRect();
-      if (rect.width < 20 || rect.height < 14) continue; // Non-trivial geometry
+      // Check if element is in viewport (in top frame coordinates)
+      const ownRect = el.getBoundingClientRect();
+      if (ownRect.width < 20 || ownRect.height < 14) continue; // Non-trivial geometry
+      const rect = {
+        left: ownRect.left + offset.x,
+        top: ownRect.top + offset.y,
+        right: ownRect.right + offset.x,
+        bottom: ownRect.bottom + offset.y,
+        width: ownRect.width,
+        height: ownRect.height
+      };
 
       // Check viewport intersection
-      const inViewport = rect.top < viewport.height && 
-                        rect.bottom > 0 && 
-                        rect.left < viewport.width && 
-                        rect.right > 0;
+      const inViewport = rect.top < clip.bottom && 
+                        rect.bottom > clip.top && 
+                        rect.left < clip.right && 
+                        rect.right > clip.left;
       if (!inViewport) continue;
 
       // Check computed styles
@@ -171,7 +190,9 @@ function collectVisibleLinks() {
       candidates.push({
         url: href,
         text: text || href,
-        score: score
+        score: score,
+        element: el,
+        rect
       });
     } catch (e) {
       // Skip elements that cause errors
@@ -179,9 +200,16 @@ function collectVisibleLinks() {
     }
   }
 
-  // Sort by score and return top 6
   candidates.sort((a, b) => b.score - a.score);
-  const topLinks = candidates.slice(0, 6);
+  return candidates;
+}
+
+// --- Collect visible links from viewport ---
+function collectVisibleLinks(placement = null) {
+  const startTime = performance.now();
+
+  // Return the top 6 (without their elements, which can't be messaged)
+  const topLinks = rankVisibleLinks(placement).slice(0, 6).map(({ url, text, score }) => ({ url, text, score }));
 
   const elapsed = performance.now() - startTime;
   console.log(`[Jumpware] Collected ${topLinks.length} visible links in ${elapsed.toFixed(2)}ms`);
@@ -189,19 +217,221 @@ function collectVisibleLinks() {
   return topLinks;
 }
 
+// --- Where this frame's child frames sit in its viewport ---
+// The service worker chains these to place nested frames in the top frame's viewport
+function collectFrameLayout() {
+  const frames = [];
+  for (const frame of deepQuerySelectorAll('iframe, frame')) {
+    let frameId;
+    try {
+      frameId = chrome.runtime.getFrameId(frame);
+    } catch {
+      continue; // Not a frame this extension can see (e.g. not loaded yet)
+    }
+    if (frameId < 0) continue;
+
+    const style = window.getComputedStyle(frame);
+    if (style.visibility === 'hidden' || style.display === 'none') continue;
+
+    // The frame's viewport is its content box (inside border and padding)
+    const rect = frame.getBoundingClientRect();
+    const left = rect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0);
+    const top = rect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0);
+    frames.push({
+      frameId,
+      rect: {
+        left,
+        top,
+        right: left + frame.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0),
+        bottom: top + frame.clientHeight - (parseFloat(style.paddingTop) || 0) - (parseFloat(style.paddingBottom) || 0)
+      }
+    });
+  }
+  return { viewport: { width: window.innerWidth, height: window.innerHeight }, frames };
+}
+
+// --- Open shadow roots in this document (nested ones included) ---
+function collectShadowRoots(root = document) {
+  const roots = [];
+  for (const el of root.querySelectorAll('*')) {
+    if (el.shadowRoot) {
+      roots.push(el.shadowRoot, ...collectShadowRoots(el.shadowRoot));
+    }
+  }
+  return roots;
+}
+
+// querySelectorAll across the document and its open shadow roots
+function deepQuerySelectorAll(selector, shadowRoots = collectShadowRoots()) {
+  return [document, ...shadowRoots].flatMap(root => Array.from(root.querySelectorAll(selector)));
+}
+
+// --- Split code inputs: one single-character box per digit ---
+// Returns true if 4-8 such boxes sit together. Boxes are often each wrapped in
+// their own element, so they are grouped by the nearest ancestor holding several.
+function hasSplitCodeInput(inputs) {
+  const boxes = inputs.filter(input => {
+    const type = (input.type || 'text').toLowerCase();
+    return input.getAttribute('maxlength') === '1' && ['text', 'tel', 'number', 'password'].includes(type);
+  });
+
+  const groups = new Map();
+  for (const box of boxes) {
+    let container = box.parentNode;
+    if (container && container.querySelectorAll('input').length < 2 && container.parentNode) {
+      container = container.parentNode;
+    }
+    groups.set(container, (groups.get(container) || 0) + 1);
+  }
+  return [...groups.values()].some(count => count >= 4 && count <= 8);
+}
+
+// --- Link hint overlay ---
+// Every frame ranks its own links (prepareLinkHints) and keeps their elements; the top
+// frame labels the merged ranking (best links get the first labels). Typing a label
+// follows its link, in the frame it's in; Escape or scrolling closes the overlay.
+const HINT_CHARACTERS = 'asdfghjkl';
+const MAX_HINTS = 40;
+let hintOverlay = null;
+// This frame's links offered as hints, by id, until the next prepareLinkHints
+let hintTargets = [];
+
+// Labels of equal length, so none is a prefix of another
+function hintLabels(count) {
+  let length = 1;
+  while (HINT_CHARACTERS.length ** length < count) length++;
+  const labels = [];
+  for (let i = 0; i < count; i++) {
+    let label = '';
+    for (let n = i, j = 0; j < length; j++, n = Math.floor(n / HINT_CHARACTERS.length)) {
+      label = HINT_CHARACTERS[n % HINT_CHARACTERS.length] + label;
+    }
+    labels.push(label);
+  }
+  return labels;
+}
+
+function followLink(link) {
+  if (link.element.tagName === 'A') link.element.click();
+  else window.location.assign(link.url);
+}
+
+// Rank this frame's links for hints; rects are in the top frame's viewport (see rankVisibleLinks)
+function prepareLinkHints(placement = null) {
+  hintTargets = rankVisibleLinks(placement).slice(0, MAX_HINTS);
+  return hintTargets.map(({ url, score, rect }, id) => ({ id, url, score, rect }));
+}
+
+function followLinkHint(id) {
+  const link = hintTargets[id];
+  if (link) followLink(link);
+  return Boolean(link);
+}
+
+function hideLinkHints() {
+  if (!hintOverlay) return;
+  hintOverlay.host.remove();
+  window.removeEventListener('keydown', hintOverlay.onKeyDown, true);
+  window.removeEventListener('scroll', hideLinkHints, true);
+  window.removeEventListener('resize', hideLinkHints);
+  hintOverlay = null;
+}
+
+// links: [{ frameId, id, rect }] from every frame, best first; frame 0 is this one
+function showLinkHints(links) {
+  hideLinkHints();
+  links = links.slice(0, MAX_HINTS);
+  if (links.length === 0) return 0;
+
+  // The overlay lives in its own shadow root so page styles can't restyle it
+  const host = document.createElement('div');
+  host.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;';
+  const root = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = `
+    .hint { position: fixed; padding: 1px 4px; border-radius: 3px; background: #fce94f;
+            border: 1px solid #c4a000; color: #202124; font: bold 12px/1.2 monospace;
+            text-transform: uppercase; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.3); }
+    .hint .typed { color: #a0a0a0; }
+  `;
+  root.append(style);
+
+  const hints = hintLabels(links.length).map((label, i) => {
+    const marker = document.createElement('span');
+    marker.className = 'hint';
+    marker.style.left = `${Math.max(0, links[i].rect.left)}px`;
+    marker.style.top = `${Math.max(0, links[i].rect.top)}px`;
+    marker.textContent = label;
+    root.append(marker);
+    return { label, marker, link: links[i] };
+  });
+  document.documentElement.append(host);
+
+  let typed = '';
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      hideLinkHints();
+    } else if (event.key === 'Backspace') {
+      typed = typed.slice(0, -1);
+    } else if (event.key.length === 1 && HINT_CHARACTERS.includes(event.key.toLowerCase())) {
+      typed += event.key.toLowerCase();
+    } else {
+      return; // Let other keys (modifiers, shortcuts) through
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    if (!hintOverlay) return;
+
+    const matching = hints.filter(hint => hint.label.startsWith(typed));
+    if (matching.length === 1 && matching[0].label === typed) {
+      hideLinkHints();
+      const { frameId, id } = matching[0].link;
+      if (frameId === 0) followLinkHint(id);
+      else chrome.runtime.sendMessage({ action: 'followLinkHint', frameId, id });
+      return;
+    }
+    if (matching.length === 0) typed = '';
+    for (const hint of hints) {
+      const visible = hint.label.startsWith(typed);
+      hint.marker.style.display = visible ? '' : 'none';
+      if (visible) {
+        const done = document.createElement('span');
+        done.className = 'typed';
+        done.textContent = typed;
+        hint.marker.replaceChildren(done, hint.label.slice(typed.length));
+      }
+    }
+  };
+
+  // Keys typed while an iframe has focus never reach this frame
+  if (/^i?frame$/i.test(document.activeElement?.tagName || '')) document.activeElement.blur();
+
+  hintOverlay = { host, onKeyDown };
+  window.addEventListener('keydown', onKeyDown, true);
+  window.addEventListener('scroll', hideLinkHints, true);
+  window.addEventListener('resize', hideLinkHints);
+  return hints.length;
+}
+
 // --- Detect OTP/verification code screen ---
+// Reports this frame's signals only; the background merges the signals of every
+// frame in the tab (code forms are often in iframes) and scores them
 function detectOTPScreen() {
   const hostname = window.location.hostname;
-  let confidence = 0;
+  const shadowRoots = collectShadowRoots();
   const signals = {
     hasCodeInput: false,
+    hasSplitCodeInput: false,
     hasVerificationText: false,
     hasEmailMention: false,
-    hasSMSPreference: false
+    hasSMSMention: false,
+    hasVerificationTitle: false,
+    verificationHeadings: 0
   };
 
-  // Scan for code input fields
-  const codeInputs = Array.from(document.querySelectorAll('input')).filter(input => {
+  // Scan for code input fields, including inside web components
+  const inputs = deepQuerySelectorAll('input', shadowRoots);
+  const codeInputs = inputs.filter(input => {
     const autocomplete = (input.getAttribute('autocomplete') || '').toLowerCase();
     const name = (input.getAttribute('name') || '').toLowerCase();
     const id = (input.id || '').toLowerCase();
@@ -220,69 +450,34 @@ function detectOTPScreen() {
     );
   });
 
-  if (codeInputs.length > 0) {
-    signals.hasCodeInput = true;
-    confidence += 50;
-  }
+  signals.hasCodeInput = codeInputs.length > 0;
+  signals.hasSplitCodeInput = hasSplitCodeInput(inputs);
 
-  // Scan for verification text cues
-  const bodyText = document.body.innerText || document.body.textContent || '';
+  // Scan for verification text cues (shadow roots aren't part of body.innerText)
+  const bodyText = [
+    document.body?.innerText || document.body?.textContent || '',
+    ...shadowRoots.map(root => root.textContent || '')
+  ].join('\n');
   const lowerBodyText = bodyText.toLowerCase();
 
-  for (const phrase of VERIFICATION_PHRASES) {
-    if (lowerBodyText.includes(phrase.toLowerCase())) {
-      signals.hasVerificationText = true;
-      confidence += 30;
-      break;
-    }
-  }
-
-  // Check for email mentions
-  for (const emailPhrase of EMAIL_MENTIONS) {
-    if (lowerBodyText.includes(emailPhrase.toLowerCase())) {
-      signals.hasEmailMention = true;
-      confidence += 20;
-      break;
-    }
-  }
-
-  // Check for SMS preference (negative signal)
-  let smsCount = 0;
-  for (const smsPhrase of SMS_MENTIONS) {
-    if (lowerBodyText.includes(smsPhrase.toLowerCase())) {
-      smsCount++;
-    }
-  }
-  if (smsCount > 0 && !signals.hasEmailMention) {
-    signals.hasSMSPreference = true;
-    confidence -= 40;
-  }
+  signals.hasVerificationText = VERIFICATION_PHRASES.some(phrase => lowerBodyText.includes(phrase.toLowerCase()));
+  signals.hasEmailMention = EMAIL_MENTIONS.some(phrase => lowerBodyText.includes(phrase.toLowerCase()));
+  signals.hasSMSMention = SMS_MENTIONS.some(phrase => lowerBodyText.includes(phrase.toLowerCase()));
 
   // Check page title
   const pageTitle = document.title.toLowerCase();
-  if (pageTitle.includes('verify') || pageTitle.includes('verification') || 
-      pageTitle.includes('security code') || pageTitle.includes('two-factor')) {
-    confidence += 15;
-  }
+  signals.hasVerificationTitle = pageTitle.includes('verify') || pageTitle.includes('verification code') || 
+    pageTitle.includes('security code') || pageTitle.includes('two-factor');
 
   // Check headings
-  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
-  for (const heading of headings) {
+  for (const heading of deepQuerySelectorAll('h1, h2, h3, h4, h5, h6', shadowRoots)) {
     const headingText = (heading.textContent || '').toLowerCase();
-    for (const phrase of VERIFICATION_PHRASES) {
-      if (headingText.includes(phrase.toLowerCase())) {
-        confidence += 10;
-        break;
-      }
+    if (VERIFICATION_PHRASES.some(phrase => headingText.includes(phrase.toLowerCase()))) {
+      signals.verificationHeadings++;
     }
   }
 
-  return {
-    confidence,
-    signals,
-    hostname,
-    detected: confidence >= 70 && signals.hasCodeInput
-  };
+  return { hostname, signals };
 }
 
 // --- Extract page content for indexing ---
@@ -290,40 +485,71 @@ function extractPageContent() {
   const url = window.location.href;
   const hostname = window.location.hostname;
   
-  // Special handling for Google Docs
+  // Special handling for Google Docs, Sheets and Slides
   if (hostname.includes('docs.google.com')) {
+    const path = window.location.pathname;
+    if (path.startsWith('/spreadsheets/')) return extractGoogleSheetsContent();
+    if (path.startsWith('/presentation/')) return extractGoogleSlidesContent();
     return extractGoogleDocsContent();
   }
+
+  // GitHub repo, issue and PR pages get structured details
+  if (hostname === 'github.com') {
+    return extractGitHubContent();
+  }
   
   // Generic page extraction
   return extractGenericPageContent();
 }
 
-function extractGoogleDocsContent() {
-  // Try to find the actual document title
-  // Google Docs stores it in various places depending on the UI state
-  let title = document.title;
-  
-  // Try common selectors for Google Docs title
+// --- Title of a Google Docs/Sheets/Slides file ---
+// The editors store it in various places depending on the UI state
+function extractGoogleEditorTitle(extraSelectors = []) {
   const titleSelectors = [
     '[data-title]',
     '.docs-title-input',
     '[aria-label*="title" i]',
     'input[placeholder*="title" i]',
-    '.kix-appview-editor'
+    ...extraSelectors
   ];
   
   for (const selector of titleSelectors) {
     const el = document.querySelector(selector);
     if (el) {
       const candidate = el.value || el.textContent || el.getAttribute('data-title');
-      if (candidate && candidate.trim() && candidate !== 'Untitled document') {
-        title = candidate.trim();
-        break;
+      if (candidate && candidate.trim() && !/^Untitled (document|spreadsheet|presentation)$/.test(candidate.trim())) {
+        return candidate.trim();
       }
     }
   }
   
+  // document.title is "<name> - Google Sheets" etc.
+  return document.title.replace(/ - Google (Docs|Sheets|Slides)$/, '');
+}
+
+// Distinct non-empty texts of the first selector that matches anything
+function collectTexts(selectors, root = document) {
+  for (const selector of selectors) {
+    const texts = Array.from(root.querySelectorAll(selector))
+      .map(el => (el.getAttribute('aria-label') && !el.textContent.trim()
+        ? el.getAttribute('aria-label')
+        : el.textContent || ''
+      ).replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+    if (texts.length > 0) return [...new Set(texts)];
+  }
+  return [];
+}
+
+// Limit content size for storage (first ~5000 chars should be enough for search)
+function limitContent(text) {
+  const maxContentLength = 5000;
+  return text.length > maxContentLength ? text.substring(0, maxContentLength) + '...' : text;
+}
+
+function extractGoogleDocsContent() {
+  const title = extractGoogleEditorTitle(['.kix-appview-editor']);
+  
   // Extract document text content
   // Google Docs content is in specific containers
   const contentSelectors = [
@@ -358,9 +584,108 @@ function extractGoogleDocsContent() {
     textContent = textContent.substring(0, maxContentLength) + '...';
   }
   
+  const sections = extractGoogleDocsSections();
+  
   return {
     title: title || document.title,
     content: textContent.trim(),
+    headings: sections.map(s => s.heading).join(' | '),
+    sections,
+    url: window.location.href,
+    extractedAt: Date.now()
+  };
+}
+
+// --- Google Docs headings with their #heading=h.xxxx anchors ---
+// Headings only carry their anchor where the DOM exposes it: heading ids in HTML
+// and published views, and links to them (tables of contents, the outline)
+function extractGoogleDocsSections() {
+  const sections = [];
+  const seen = new Set();
+  const add = (heading, anchor) => {
+    heading = (heading || '').replace(/\s+/g, ' ').trim();
+    if (!heading || !anchor || seen.has(anchor)) return;
+    seen.add(anchor);
+    sections.push({ heading, anchor });
+  };
+
+  for (const el of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    if (/^h\.[\w-]+$/.test(el.id)) add(el.textContent, el.id);
+  }
+  for (const link of document.querySelectorAll('a[href*="#heading=h."]')) {
+    const match = link.getAttribute('href').match(/#heading=(h\.[\w-]+)/);
+    if (match) add(link.textContent, match[1]);
+  }
+
+  return sections.slice(0, 100);
+}
+
+// --- Google Sheets: tab names, header rows and named ranges ---
+// The grid itself is drawn on a canvas, so cell text is only in the DOM where Sheets
+// renders an HTML table (published and HTML views) or the screen-reader grid
+function extractGoogleSheetsContent() {
+  const tabNames = collectTexts(['.docs-sheet-tab .docs-sheet-tab-name', '.docs-sheet-tab-name', '#sheet-menu li']);
+
+  // First non-empty row of each rendered table
+  const headerRows = [];
+  for (const table of document.querySelectorAll('table.waffle, [role="grid"]')) {
+    for (const row of table.querySelectorAll('tr, [role="row"]')) {
+      const cells = Array.from(row.querySelectorAll('td, [role="gridcell"], [role="columnheader"]'))
+        .map(cell => (cell.textContent || '').trim())
+        .filter(Boolean);
+      if (cells.length > 0) {
+        headerRows.push(cells.join(' · '));
+        break;
+      }
+    }
+  }
+
+  // Named ranges appear in the name box dropdown and the Named ranges sidebar
+  const namedRanges = collectTexts([
+    '.waffle-named-ranges-sidebar .waffle-named-ranges-range-name',
+    '.waffle-name-box-menu .goog-menuitem-content'
+  ]).filter(name => !/^[A-Z]+\d+(:[A-Z]+\d+)?$/.test(name)); // Skip plain cell references
+
+  const parts = [];
+  if (tabNames.length > 0) parts.push(`Tabs: ${tabNames.join(', ')}`);
+  if (headerRows.length > 0) parts.push(`Headers: ${headerRows.join(' | ')}`);
+  if (namedRanges.length > 0) parts.push(`Named ranges: ${namedRanges.join(', ')}`);
+
+  return {
+    title: extractGoogleEditorTitle(),
+    content: limitContent(parts.join('\n')),
+    headings: tabNames.join(' | '),
+    url: window.location.href,
+    extractedAt: Date.now()
+  };
+}
+
+// --- Google Slides: slide titles and speaker notes ---
+// Slide thumbnails in the filmstrip are SVG; their first text run is the slide title
+function extractGoogleSlidesContent() {
+  const slideTitles = [];
+  const thumbnails = document.querySelectorAll('.punch-filmstrip-thumbnail, .punch-filmstrip-slide');
+  for (const thumbnail of thumbnails) {
+    const [slideTitle] = collectTexts(['text', '[aria-label]'], thumbnail);
+    if (slideTitle) slideTitles.push(slideTitle);
+  }
+
+  // Notes of the current slide in the editor, or all slides in presenter view
+  const notes = collectTexts([
+    '.punch-viewer-speakernotes-text',
+    '#speakernotes-workspace text',
+    '#speakernotes text',
+    '[aria-label="Speaker notes" i]'
+  ]);
+
+  const parts = [];
+  if (slideTitles.length > 0) parts.push(`Slides: ${slideTitles.join(' | ')}`);
+  if (notes.length > 0) parts.push(`Speaker notes: ${notes.join(' ')}`);
+
+  return {
+    title: extractGoogleEditorTitle(),
+    content: limitContent(parts.join('\n')),
+    headings: slideTitles.slice(0, 50).join(' | '),
     url: window.location.href,
     extractedAt: Date.now()
   };
@@ -431,85 +756,176 @@ function extractGenericPageContent() {
   };
 }
 
-// --- Build Gmail search URL ---
-function buildGmailSearchURL(hostname, signals) {
-  const baseUrl = 'https://mail.google.com/mail/u/0/#search/';
-  
-  // Hostname-specific mappings
-  const hostnameMappings = {
-    'github.com': {
-      from: 'from:(noreply@github.com OR accounts-noreply@github.com)',
-      subjects: ['verification code', 'authentication code', 'security code']
-    },
-    'accounts.google.com': {
-      from: 'from:(no-reply@accounts.google.com OR accounts-noreply@google.com)',
-      subjects: ['verification code', 'security code']
-    },
-    'discord.com': {
-      from: 'from:(noreply@discord.com)',
-      subjects: ['verification code', 'verification']
-    },
-    'slack.com': {
-      from: 'from:(noreply@slack.com)',
-      subjects: ['verification code', 'verification']
-    },
-    'notion.so': {
-      from: 'from:(noreply@notion.so)',
-      subjects: ['verification code', 'verification']
-    },
-    'amazon.com': {
-      from: 'from:(account-update@amazon.com OR no-reply@amazon.com)',
-      subjects: ['verification code', 'verification']
-    },
-    'microsoftonline.com': {
-      from: 'from:(no-reply@microsoft.com)',
-      subjects: ['verification code', 'verification']
-    },
-    'dropbox.com': {
-      from: 'from:(no-reply@dropbox.com)',
-      subjects: ['verification code', 'verification']
-    },
-    'stripe.com': {
-      from: 'from:(no-reply@stripe.com)',
-      subjects: ['verification code', 'verification']
-    },
-    'figma.com': {
-      from: 'from:(no-reply@figma.com)',
-      subjects: ['verification code', 'verification']
-    }
+// --- GitHub pages ---
+// Repo pages: description, topics, primary language, README headings and intro.
+// Issue/PR pages: title, labels, author and the opening comment.
+// The rest of `main` is mostly file listings and UI labels, so it is only kept
+// for other pages (files, Actions runs, ...).
+function extractGitHubContent() {
+  const page = extractGenericPageContent();
+  const texts = (selector) => Array.from(document.querySelectorAll(selector))
+    .map(el => (el.textContent || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  const firstText = (selectors) => texts(selectors.join(', '))[0] || null;
+
+  // Repo page
+  const readme = document.querySelector('#readme article.markdown-body, #readme .markdown-body, article.markdown-body.entry-content');
+  let languages = null;
+  for (const heading of document.querySelectorAll('.BorderGrid-cell h2')) {
+    if (heading.textContent.trim() === 'Languages') languages = heading.parentElement;
+  }
+  const details = {
+    description: firstText(['.BorderGrid-cell .f4.my-3', '[itemprop="about"]']),
+    topics: [...new Set(texts('a.topic-tag'))],
+    language: firstText(['[itemprop="programmingLanguage"]']) ||
+              (languages && (languages.querySelector('.text-bold')?.textContent || '').trim()) || null,
+    labels: [],
+    author: null
   };
 
-  // Find matching hostname (exact or domain match)
-  let mapping = null;
-  for (const [domain, config] of Object.entries(hostnameMappings)) {
-    if (hostname === domain || hostname.endsWith('.' + domain)) {
-      mapping = config;
-      break;
-    }
+  let content = page.content;
+  let headings = page.headings;
+  if (readme) {
+    headings = Array.from(readme.querySelectorAll('h1, h2, h3'))
+      .map(h => h.textContent.trim()).filter(Boolean).slice(0, 20).join(' | ');
+    // First real paragraph, skipping badge rows
+    const intro = Array.from(readme.querySelectorAll('p'))
+      .map(p => p.textContent.replace(/\s+/g, ' ').trim())
+      .find(text => text.length >= 40);
+    content = intro || '';
   }
 
-  // Build search query
-  const queryParts = ['in:anywhere', 'newer_than:2h'];
-  
+  // Issue/PR page
+  const issueTitle = firstText(['[data-testid="issue-title"]', '.js-issue-title', '.gh-header-title .markdown-title']);
+  if (issueTitle) {
+    details.labels = [...new Set(texts('[data-testid="issue-labels"] a, .js-issue-labels .IssueLabel, .sidebar-labels .IssueLabel'))];
+    details.author = firstText([
+      '[data-testid="issue-body-header-author"]',
+      '.gh-header-meta .author',
+      '.timeline-comment-header .author'
+    ]);
+    const body = document.querySelector('[data-testid="issue-body"] .markdown-body, .comment-body');
+    headings = issueTitle;
+    content = (body?.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 5000);
+  }
+
+  const hasDetails = details.description || details.language || details.author ||
+                     details.topics.length > 0 || details.labels.length > 0;
+  return {
+    ...page,
+    content,
+    headings,
+    state: extractGitHubState(),
+    details: hasDetails ? details : null
+  };
+}
+
+// --- GitHub issue/PR state (Open, Closed, Merged, Draft) ---
+function extractGitHubState() {
+  const el = document.querySelector('[data-testid="header-state"], .gh-header-meta .State, span.State');
+  if (!el) return null;
+  const state = (el.getAttribute('title') || el.textContent || '').replace(/^status:\s*/i, '').trim();
+  return state || null;
+}
+
+// --- What to search for: senders and subjects of a site's verification emails ---
+// mapping is the site's { from, subjects } entry from the sender mappings the background
+// keeps in storage (null if it has none). Returns { from: [address], subjects: [text],
+// newerThanHours }; an empty list doesn't filter on that field.
+function buildOTPSearch(mapping) {
   if (mapping) {
-    queryParts.push(mapping.from);
-    const subjectQueries = mapping.subjects.map(s => `subject:"${s}"`).join(' OR ');
-    queryParts.push(`(${subjectQueries})`);
-  } else {
-    // Fallback generic search
-    queryParts.push('subject:"verification code" OR subject:"authentication code" OR subject:"Your code"');
+    return { from: mapping.from || [], subjects: mapping.subjects || [], newerThanHours: 2 };
   }
 
+  // Fallback generic search
+  return {
+    from: [],
+    subjects: ['verification code', 'authentication code', 'Your code'],
+    newerThanHours: 2
+  };
+}
+
+// Start of the search window as YYYY-MM-DD, for providers that only search by date
+function searchWindowStart(search) {
+  const start = new Date(Date.now() - search.newerThanHours * 60 * 60 * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+}
+
+// --- Build Gmail search URL ---
+// account is the Gmail account index (/mail/u/N/) chosen by the background; 0 if unknown
+function buildGmailSearchURL(search, account) {
+  const baseUrl = `https://mail.google.com/mail/u/${account ?? 0}/#search/`;
+  const queryParts = ['in:anywhere', `newer_than:${search.newerThanHours}h`];
+  if (search.from.length > 0) queryParts.push(`from:(${search.from.join(' OR ')})`);
+  if (search.subjects.length > 0) queryParts.push(`(${search.subjects.map(s => `subject:"${s}"`).join(' OR ')})`);
+
   // Gmail search URLs use + for spaces in the hash fragment
   const query = queryParts.join(' ');
   return baseUrl + query.replace(/\s+/g, '+');
 }
 
+// --- Outlook on the web (KQL search; the window can only be given as a date) ---
+function buildOutlookSearchURL(baseUrl, search) {
+  const queryParts = [`received>=${searchWindowStart(search)}`];
+  if (search.from.length > 0) queryParts.push(`(${search.from.map(f => `from:${f}`).join(' OR ')})`);
+  if (search.subjects.length > 0) queryParts.push(`(${search.subjects.map(s => `subject:"${s}"`).join(' OR ')})`);
+  return `${baseUrl}?q=${encodeURIComponent(queryParts.join(' '))}`;
+}
+
+// --- Fastmail (search in the URL path) ---
+function buildFastmailSearchURL(search) {
+  const queryParts = [`after:${searchWindowStart(search)}`];
+  if (search.from.length > 0) queryParts.push(`(${search.from.map(f => `from:${f}`).join(' OR ')})`);
+  if (search.subjects.length > 0) queryParts.push(`(${search.subjects.map(s => `subject:"${s}"`).join(' OR ')})`);
+  return `https://app.fastmail.com/mail/search:${encodeURIComponent(queryParts.join(' '))}/`;
+}
+
+// --- Proton Mail (one keyword and one sender; the window is a Unix timestamp) ---
+function buildProtonSearchURL(search) {
+  const params = new URLSearchParams({
+    begin: String(Math.floor(Date.now() / 1000) - search.newerThanHours * 60 * 60)
+  });
+  if (search.subjects.length > 0) params.set('keyword', search.subjects[0]);
+  if (search.from.length > 0) params.set('from', search.from[0]);
+  return `https://mail.proton.me/u/0/almost-all-mail#${params}`;
+}
+
+// --- Webmail providers, by the ids the background asks for ---
+const MAIL_PROVIDERS = {
+  gmail: (search, options) => buildGmailSearchURL(search, options.gmailAccount),
+  outlook: (search) => buildOutlookSearchURL('https://outlook.office.com/mail/search', search),
+  'outlook-live': (search) => buildOutlookSearchURL('https://outlook.live.com/mail/0/search', search),
+  fastmail: (search) => buildFastmailSearchURL(search),
+  proton: (search) => buildProtonSearchURL(search)
+};
+
+// Search URLs for each requested provider: [{ provider, url }]
+function buildMailSearchURLs(providers, options = {}) {
+  const search = buildOTPSearch(options.senderMapping);
+  return (providers || ['gmail'])
+    .filter(provider => MAIL_PROVIDERS[provider])
+    .map(provider => ({ provider, url: MAIL_PROVIDERS[provider](search, options) }));
+}
+
+// --- Sender of the email open in Gmail ---
+// Used to learn which address a site's codes come from; null when no single
+// message is open (inbox, search results) or on other webmail
+function readOpenEmailSender() {
+  if (window.location.hostname !== 'mail.google.com') return null;
+  const senders = Array.from(document.querySelectorAll('.gD[email]'));
+  // In a conversation the last sender is the most recent, expanded message
+  const sender = senders.at(-1)?.getAttribute('email');
+  if (!sender) return null;
+  const subject = (document.querySelector('h2.hP')?.textContent || '').trim();
+  return { sender: sender.toLowerCase(), subject };
+}
+
 // --- Message handler ---
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'collectVisibleLinks') {
     try {
-      const links = collectVisibleLinks();
+      const links = collectVisibleLinks(request.placement || null);
       sendResponse({ success: true, links });
     } catch (error) {
       sendResponse({ success: false, error: error.message });
@@ -517,25 +933,67 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Async response
   }
 
+  if (request.action === 'collectFrameLayout') {
+    try {
+      sendResponse({ success: true, ...collectFrameLayout() });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true; // Async response
+  }
+
+  if (request.action === 'prepareLinkHints') {
+    try {
+      sendResponse({ success: true, links: prepareLinkHints(request.placement || null) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true; // Async response
+  }
+
+  if (request.action === 'showLinkHints') {
+    try {
+      sendResponse({ success: true, count: showLinkHints(request.links || []) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true; // Async response
+  }
+
+  if (request.action === 'followLinkHint') {
+    try {
+      sendResponse({ success: followLinkHint(request.id) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true; // Async response
+  }
+
   if (request.action === 'detectOTPScreen') {
     try {
-      const detection = detectOTPScreen();
-      if (detection.detected) {
-        const gmailUrl = buildGmailSearchURL(detection.hostname, detection.signals);
-        sendResponse({ 
-          success: true, 
-          detected: true,
-          gmailUrl,
-          confidence: detection.confidence,
-          hostname: detection.hostname
-        });
-      } else {
-        sendResponse({ 
-          success: true, 
-          detected: false,
-          confidence: detection.confidence
-        });
-      }
+      sendResponse({ success: true, ...detectOTPScreen() });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true; // Async response
+  }
+
+  if (request.action === 'buildMailSearchURLs') {
+    try {
+      const mailUrls = buildMailSearchURLs(request.mailProviders, {
+        gmailAccount: request.gmailAccount,
+        senderMapping: request.senderMapping
+      });
+      sendResponse({ success: true, mailUrls });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true; // Async response
+  }
+
+  if (request.action === 'readOpenEmailSender') {
+    try {
+      sendResponse({ success: true, email: readOpenEmailSender() });
     } catch (error) {
       sendResponse({ success: false, error: error.message });
     }
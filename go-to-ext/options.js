@@ -0,0 +1,515 @@
+// Options page: ranking settings, learned selections, aliases, web search, source registry
+// and verification codes
+import { SOURCE_SETTINGS_KEY, resolveSources, validateSource } from './sources.js';
+import {
+  SETTINGS_KEY,
+  SELECTION_MEMORY_KEY,
+  GMAIL_ACCOUNTS_KEY,
+  MAIL_PROVIDERS_KEY,
+  MAIL_PROVIDERS,
+  SENDER_MAPPINGS_KEY,
+  DEFAULT_SENDER_MAPPINGS,
+  ALIASES_KEY,
+  SEARCH_PROVIDERS_KEY,
+  SETTINGS_SCHEMA,
+  DEFAULT_SETTINGS,
+  loadSettings,
+  loadMailProviders,
+  loadSenderMappings,
+  loadAliases,
+  loadSearchSettings,
+  resolveSearchProviders,
+  validateAliases,
+  validateSearchPrefix,
+  validateSearchProvider,
+  validateSenderMappings,
+  validateSettings
+} from './settings.js';
+
+const $ = (id) => document.getElementById(id);
+
+// --- Ranking settings ---
+function renderSettings(values) {
+  const fields = $('settings-fields');
+  fields.replaceChildren();
+
+  for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+    const label = document.createElement('label');
+    label.htmlFor = `setting-${key}`;
+    label.textContent = `${spec.label} (default ${spec.default})`;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `setting-${key}`;
+    input.name = key;
+    input.min = spec.min;
+    input.max = spec.max;
+    input.step = spec.integer ? 1 : 'any';
+    input.value = values[key];
+
+    fields.append(label, input);
+    if (spec.hint) {
+      const hint = document.createElement('div');
+      hint.className = 'hint';
+      hint.textContent = spec.hint;
+      fields.append(hint);
+    }
+  }
+}
+
+$('settings-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const values = Object.fromEntries(new FormData(event.target));
+  const { settings, errors } = validateSettings(values);
+  $('settings-errors').textContent = errors.join('\n');
+  if (errors.length > 0) return;
+
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  $('settings-status').textContent = 'Saved.';
+});
+
+$('settings-reset').addEventListener('click', async () => {
+  await chrome.storage.local.set({ [SETTINGS_KEY]: { ...DEFAULT_SETTINGS } });
+  renderSettings(DEFAULT_SETTINGS);
+  $('settings-errors').textContent = '';
+  $('settings-status').textContent = 'Reset to defaults.';
+});
+
+// --- Learned selections ---
+async function renderSelectionCount() {
+  const { [SELECTION_MEMORY_KEY]: memory } = await chrome.storage.local.get(SELECTION_MEMORY_KEY);
+  const count = Object.keys(memory || {}).length;
+  $('selection-count').textContent = `${count} remembered ${count === 1 ? 'query' : 'queries'}.`;
+}
+
+$('selection-clear').addEventListener('click', async () => {
+  await chrome.storage.local.remove(SELECTION_MEMORY_KEY);
+  renderSelectionCount();
+});
+
+// --- Aliases ---
+async function saveAliases(aliases) {
+  await chrome.storage.local.set({ [ALIASES_KEY]: aliases });
+  renderAliases();
+}
+
+async function renderAliases() {
+  const aliases = await loadAliases();
+  const list = $('alias-list');
+  list.replaceChildren();
+
+  for (const [keyword, url] of Object.entries(aliases)) {
+    const row = document.createElement('div');
+    row.className = 'row';
+
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = `${keyword} `;
+    const target = document.createElement('code');
+    target.textContent = url;
+    name.append(target);
+
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      const current = await loadAliases();
+      delete current[keyword];
+      saveAliases(current);
+    });
+
+    row.append(name, remove);
+    list.append(row);
+  }
+
+  if (!list.hasChildNodes()) {
+    list.textContent = 'No aliases yet.';
+  }
+}
+
+$('alias-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const keyword = $('alias-keyword').value.trim();
+  const { aliases, errors } = keyword
+    ? validateAliases({ [keyword]: $('alias-url').value.trim() })
+    : { aliases: {}, errors: ['Keyword is required'] };
+  $('alias-errors').textContent = errors.join('\n');
+  if (errors.length > 0) return;
+
+  // Adding an existing keyword replaces its URL
+  await saveAliases({ ...await loadAliases(), ...aliases });
+  event.target.reset();
+});
+
+// --- Web search providers ---
+async function saveSearchSettings(searchSettings) {
+  await chrome.storage.local.set({ [SEARCH_PROVIDERS_KEY]: searchSettings });
+  renderSearchProviders();
+}
+
+async function renderSearchProviders() {
+  const list = $('search-provider-list');
+  list.replaceChildren();
+
+  for (const provider of resolveSearchProviders(await loadSearchSettings())) {
+    const row = document.createElement('div');
+    row.className = 'row';
+
+    const isDefault = document.createElement('input');
+    isDefault.type = 'radio';
+    isDefault.name = 'search-default';
+    isDefault.title = 'Default (Enter searches it)';
+    isDefault.checked = provider.isDefault;
+    isDefault.addEventListener('change', async () => {
+      const current = await loadSearchSettings();
+      saveSearchSettings({ ...current, default: provider.id });
+    });
+
+    const shown = document.createElement('input');
+    shown.type = 'checkbox';
+    shown.title = 'Show as a fallback row';
+    shown.checked = provider.shown;
+    shown.disabled = provider.isDefault;
+    shown.addEventListener('change', async () => {
+      const current = await loadSearchSettings();
+      const ids = new Set(current.shown);
+      if (shown.checked) ids.add(provider.id);
+      else ids.delete(provider.id);
+      saveSearchSettings({ ...current, shown: [...ids] });
+    });
+
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = `${provider.name} `;
+    const url = document.createElement('code');
+    url.textContent = provider.url;
+    name.append(url);
+
+    const prefix = document.createElement('input');
+    prefix.type = 'text';
+    prefix.size = 6;
+    prefix.placeholder = 'prefix';
+    prefix.value = provider.prefix || '';
+    prefix.addEventListener('change', async () => {
+      const current = await loadSearchSettings();
+      const value = prefix.value.trim().toLowerCase();
+      const errors = validateSearchPrefix(current.prefixes, provider.id, value);
+      $('search-errors').textContent = errors.join('\n');
+      if (errors.length > 0) return;
+
+      const prefixes = { ...current.prefixes };
+      if (value) prefixes[provider.id] = value;
+      else delete prefixes[provider.id];
+      saveSearchSettings({ ...current, prefixes });
+    });
+
+    row.append(isDefault, shown, name, prefix);
+
+    if (!provider.builtin) {
+      const remove = document.createElement('button');
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', async () => {
+        const current = await loadSearchSettings();
+        const prefixes = { ...current.prefixes };
+        delete prefixes[provider.id];
+        saveSearchSettings({
+          ...current,
+          shown: current.shown.filter(id => id !== provider.id),
+          prefixes,
+          custom: current.custom.filter(def => def.id !== provider.id)
+        });
+      });
+      row.append(remove);
+    }
+
+    list.append(row);
+  }
+}
+
+$('search-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const def = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: $('search-name').value.trim(),
+    url: $('search-url').value.trim()
+  };
+  const prefix = $('search-prefix').value.trim().toLowerCase();
+
+  const current = await loadSearchSettings();
+  const errors = [...validateSearchProvider(def), ...validateSearchPrefix(current.prefixes, def.id, prefix)];
+  $('search-errors').textContent = errors.join('\n');
+  if (errors.length > 0) return;
+
+  await saveSearchSettings({
+    ...current,
+    shown: [...current.shown, def.id],
+    prefixes: prefix ? { ...current.prefixes, [def.id]: prefix } : current.prefixes,
+    custom: [...current.custom, def]
+  });
+  event.target.reset();
+});
+
+// --- Sources ---
+async function loadSourceSettings() {
+  const { [SOURCE_SETTINGS_KEY]: stored } = await chrome.storage.local.get(SOURCE_SETTINGS_KEY);
+  return { disabled: stored?.disabled || [], custom: stored?.custom || [] };
+}
+
+async function saveSourceSettings(sourceSettings) {
+  await chrome.storage.local.set({ [SOURCE_SETTINGS_KEY]: sourceSettings });
+}
+
+async function renderSources() {
+  const sourceSettings = await loadSourceSettings();
+  const list = $('source-list');
+  list.replaceChildren();
+
+  for (const source of resolveSources(sourceSettings)) {
+    const row = document.createElement('div');
+    row.className = 'row';
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = source.enabled;
+    toggle.addEventListener('change', async () => {
+      const current = await loadSourceSettings();
+      const disabled = new Set(current.disabled);
+      if (toggle.checked) disabled.delete(source.id);
+      else disabled.add(source.id);
+      await saveSourceSettings({ ...current, disabled: [...disabled] });
+    });
+
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = `${source.name} (${source.kind}) `;
+    const pattern = document.createElement('code');
+    pattern.textContent = source.hostPattern;
+    name.append(pattern);
+
+    row.append(toggle, name);
+
+    if (!source.builtin) {
+      const remove = document.createElement('button');
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', async () => {
+        const current = await loadSourceSettings();
+        await saveSourceSettings({
+          disabled: current.disabled.filter(id => id !== source.id),
+          custom: current.custom.filter(def => def.id !== source.id)
+        });
+        renderSources();
+      });
+      row.append(remove);
+    }
+
+    list.append(row);
+  }
+}
+
+$('source-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const dedup = $('source-dedup').value.trim();
+  const def = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: $('source-name').value.trim(),
+    hostPattern: $('source-host').value.trim(),
+    kind: $('source-kind').value.trim(),
+    kindRules: [],
+    dedupRules: dedup ? [dedup] : [],
+    titleFallback: $('source-title').value.trim() || null
+  };
+
+  const errors = validateSource(def);
+  $('source-errors').textContent = errors.join('\n');
+  if (errors.length > 0) return;
+
+  const current = await loadSourceSettings();
+  await saveSourceSettings({ ...current, custom: [...current.custom, def] });
+  event.target.reset();
+  renderSources();
+});
+
+// --- Webmail providers for verification codes ---
+async function renderMailProviders() {
+  const chosen = await loadMailProviders();
+  const list = $('mail-provider-list');
+  list.replaceChildren();
+
+  for (const provider of MAIL_PROVIDERS) {
+    const row = document.createElement('label');
+    row.className = 'row';
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = chosen.includes(provider.id);
+    toggle.addEventListener('change', async () => {
+      const current = new Set(await loadMailProviders());
+      if (toggle.checked) current.add(provider.id);
+      else current.delete(provider.id);
+      // Keep the list in display order; unchecking everything falls back to Gmail
+      const providers = MAIL_PROVIDERS.map(p => p.id).filter(id => current.has(id));
+      await chrome.storage.local.set({ [MAIL_PROVIDERS_KEY]: providers });
+      renderMailProviders();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = provider.name;
+
+    row.append(toggle, name);
+    list.append(row);
+  }
+}
+
+// --- Verification email senders ---
+const splitList = (text) => text.split(',').map(x => x.trim()).filter(Boolean);
+
+async function saveSenderMappings(mappings) {
+  await chrome.storage.local.set({ [SENDER_MAPPINGS_KEY]: mappings });
+  renderSenderMappings();
+}
+
+async function renderSenderMappings() {
+  const mappings = await loadSenderMappings();
+  const list = $('sender-list');
+  list.replaceChildren();
+
+  for (const [host, { from, subjects }] of Object.entries(mappings)) {
+    const row = document.createElement('div');
+    row.className = 'row';
+
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = `${host} `;
+    const details = document.createElement('code');
+    details.textContent = [from.join(', ') || 'any sender', subjects.length > 0 ? `"${subjects.join('", "')}"` : '']
+      .filter(Boolean).join(' · ');
+    name.append(details);
+
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      const current = await loadSenderMappings();
+      delete current[host];
+      saveSenderMappings(current);
+    });
+
+    row.append(name, remove);
+    list.append(row);
+  }
+}
+
+$('sender-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const host = $('sender-host').value.trim().toLowerCase();
+  const { mappings, errors } = validateSenderMappings({
+    [host]: { from: splitList($('sender-from').value), subjects: splitList($('sender-subjects').value) }
+  });
+  if (!host) errors.push('Site host is required');
+  $('sender-errors').textContent = errors.join('\n');
+  if (errors.length > 0) return;
+
+  await saveSenderMappings({ ...await loadSenderMappings(), ...mappings });
+  event.target.reset();
+});
+
+$('sender-export').addEventListener('click', async () => {
+  const json = JSON.stringify(await loadSenderMappings(), null, 2);
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  link.download = 'jumpware-senders.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+$('sender-import').addEventListener('click', () => $('sender-import-file').click());
+
+// Imported entries replace existing ones for the same host; other hosts are kept
+$('sender-import-file').addEventListener('change', async (event) => {
+  const [file] = event.target.files;
+  event.target.value = '';
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = JSON.parse(await file.text());
+  } catch (e) {
+    $('sender-errors').textContent = `Not a JSON file: ${e.message}`;
+    return;
+  }
+  const { mappings, errors } = validateSenderMappings(imported);
+  $('sender-errors').textContent = errors.join('\n');
+  await saveSenderMappings({ ...await loadSenderMappings(), ...mappings });
+  $('sender-status').textContent = `Imported ${Object.keys(mappings).length} sites.`;
+});
+
+$('sender-reset').addEventListener('click', async () => {
+  await saveSenderMappings(structuredClone(DEFAULT_SENDER_MAPPINGS));
+  $('sender-errors').textContent = '';
+  $('sender-status').textContent = 'Reset to defaults.';
+});
+
+// --- Gmail accounts for verification codes ---
+async function loadGmailAccounts() {
+  const { [GMAIL_ACCOUNTS_KEY]: stored } = await chrome.storage.local.get(GMAIL_ACCOUNTS_KEY);
+  return { mapped: stored?.mapped || {}, learned: stored?.learned || {} };
+}
+
+async function renderGmailAccounts() {
+  const accounts = await loadGmailAccounts();
+  const list = $('gmail-account-list');
+  list.replaceChildren();
+
+  for (const [table, note] of [['mapped', ''], ['learned', ' (learned)']]) {
+    for (const [host, account] of Object.entries(accounts[table])) {
+      const row = document.createElement('div');
+      row.className = 'row';
+
+      const name = document.createElement('span');
+      name.className = 'name';
+      name.textContent = `${host} → account ${account}${note}`;
+
+      const remove = document.createElement('button');
+      remove.textContent = table === 'mapped' ? 'Remove' : 'Forget';
+      remove.addEventListener('click', async () => {
+        const current = await loadGmailAccounts();
+        delete current[table][host];
+        await chrome.storage.local.set({ [GMAIL_ACCOUNTS_KEY]: current });
+        renderGmailAccounts();
+      });
+
+      row.append(name, remove);
+      list.append(row);
+    }
+  }
+
+  if (!list.hasChildNodes()) {
+    list.textContent = 'No sites mapped yet.';
+  }
+}
+
+$('gmail-account-form').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const host = $('gmail-account-host').value.trim().toLowerCase();
+  const account = $('gmail-account-number').value.trim();
+
+  const errors = [];
+  if (!/^[a-z0-9.-]+$/.test(host)) errors.push('Enter a host like github.com');
+  if (!/^\d+$/.test(account)) errors.push('Account number must be a whole number (0 is your first account)');
+  $('gmail-account-errors').textContent = errors.join('\n');
+  if (errors.length > 0) return;
+
+  const current = await loadGmailAccounts();
+  current.mapped[host] = account;
+  await chrome.storage.local.set({ [GMAIL_ACCOUNTS_KEY]: current });
+  event.target.reset();
+  renderGmailAccounts();
+});
+
+loadSettings().then(renderSettings);
+renderSelectionCount();
+renderAliases();
+renderSearchProviders();
+renderSources();
+renderMailProviders();
+renderSenderMappings();
+renderGmailAccounts();
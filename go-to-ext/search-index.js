@@ -0,0 +1,104 @@
+// --- Token/trigram inverted index for candidate generation ---
+// Every token of an item's searchable text contributes its trigrams. A query word of
+// 3+ characters selects the items sharing at least one of its trigrams, and candidates
+// come back ordered by how much of each word they cover. A partially typed word's
+// trigrams are a subset of the finished word's, so prefixes find the same items.
+//
+// Items are added under their dedup key and re-added when their text changes.
+// Removed items leave stale ids in the postings until enough pile up to compact.
+
+const tokenize = (text) => (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const trigramsOf = (token) => {
+  const grams = [];
+  for (let i = 0; i + 3 <= token.length; i++) grams.push(token.slice(i, i + 3));
+  return grams;
+};
+
+export function createSearchIndex() {
+  const postings = new Map(); // trigram -> doc ids
+  const docs = new Map();     // doc id -> item
+  const idsByKey = new Map(); // dedup key -> doc id
+  let nextId = 0;
+  let staleIds = 0;
+
+  function compact() {
+    for (const [gram, ids] of postings) {
+      const live = ids.filter(id => docs.has(id));
+      if (live.length > 0) postings.set(gram, live);
+      else postings.delete(gram);
+    }
+    staleIds = 0;
+  }
+
+  function remove(key) {
+    const id = idsByKey.get(key);
+    if (id === undefined) return;
+    idsByKey.delete(key);
+    docs.delete(id);
+    staleIds++;
+    if (staleIds > 1000 && staleIds > docs.size) compact();
+  }
+
+  function add(key, item, text) {
+    remove(key);
+    const id = nextId++;
+    docs.set(id, item);
+    idsByKey.set(key, id);
+
+    const grams = new Set();
+    for (const token of tokenize(text)) {
+      for (const gram of trigramsOf(token)) grams.add(gram);
+    }
+    for (const gram of grams) {
+      const ids = postings.get(gram);
+      if (ids) ids.push(id);
+      else postings.set(gram, [id]);
+    }
+  }
+
+  function clear() {
+    postings.clear();
+    docs.clear();
+    idsByKey.clear();
+    staleIds = 0;
+  }
+
+  // Items matching every indexable query word, best coverage first.
+  // Returns null when no query word is long enough to look up (shorter than 3 chars).
+  function candidates(q) {
+    const words = tokenize(q).filter(w => w.length >= 3);
+    if (words.length === 0) return null;
+
+    let coverage = null; // doc id -> summed fraction of each word's trigrams found
+    for (const word of words) {
+      const grams = [...new Set(trigramsOf(word))];
+      const counts = new Map();
+      for (const gram of grams) {
+        for (const id of postings.get(gram) || []) {
+          counts.set(id, (counts.get(id) || 0) + 1);
+        }
+      }
+
+      const next = new Map();
+      for (const [id, count] of counts) {
+        if (!docs.has(id) || (coverage && !coverage.has(id))) continue;
+        next.set(id, (coverage ? coverage.get(id) : 0) + count / grams.length);
+      }
+      coverage = next;
+      if (coverage.size === 0) break;
+    }
+
+    return [...coverage]
+      .sort((a, b) => b[1] - a[1])
+      .map(([id]) => docs.get(id));
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    candidates,
+    get size() { return docs.size; }
+  };
+}
@@ -0,0 +1,312 @@
+// --- User-tunable ranking settings ---
+// Shared by the service worker and the options page. Values are stored as one
+// object under SETTINGS_KEY; anything missing or invalid falls back to its default.
+
+export const SETTINGS_KEY = 'settings';
+
+// Learned query -> picked suggestion memory (cleared from the options page)
+export const SELECTION_MEMORY_KEY = 'selectionMemory';
+
+// Gmail account per site for verification code searches:
+// { mapped: { host: account }, learned: { host: account } }
+export const GMAIL_ACCOUNTS_KEY = 'gmailAccounts';
+
+// Webmail providers searched for verification codes (ids understood by content.js)
+export const MAIL_PROVIDERS_KEY = 'mailProviders';
+export const MAIL_PROVIDERS = [
+  { id: 'gmail', name: 'Gmail' },
+  { id: 'outlook', name: 'Outlook' },
+  { id: 'outlook-live', name: 'Outlook.com' },
+  { id: 'fastmail', name: 'Fastmail' },
+  { id: 'proton', name: 'Proton Mail' }
+];
+export const DEFAULT_MAIL_PROVIDERS = ['gmail'];
+
+// Who sends each site's verification emails: { host: { from: [address], subjects: [text] } }.
+// A host also covers its subdomains. Edited, imported and exported on the options page,
+// and learned when the user confirms which email held a code.
+export const SENDER_MAPPINGS_KEY = 'senderMappings';
+export const DEFAULT_SENDER_MAPPINGS = {
+  'github.com': {
+    from: ['noreply@github.com', 'accounts-noreply@github.com'],
+    subjects: ['verification code', 'authentication code', 'security code']
+  },
+  'accounts.google.com': {
+    from: ['no-reply@accounts.google.com', 'accounts-noreply@google.com'],
+    subjects: ['verification code', 'security code']
+  },
+  'discord.com': { from: ['noreply@discord.com'], subjects: ['verification code', 'verification'] },
+  'slack.com': { from: ['noreply@slack.com'], subjects: ['verification code', 'verification'] },
+  'notion.so': { from: ['noreply@notion.so'], subjects: ['verification code', 'verification'] },
+  'amazon.com': {
+    from: ['account-update@amazon.com', 'no-reply@amazon.com'],
+    subjects: ['verification code', 'verification']
+  },
+  'microsoftonline.com': { from: ['no-reply@microsoft.com'], subjects: ['verification code', 'verification'] },
+  'dropbox.com': { from: ['no-reply@dropbox.com'], subjects: ['verification code', 'verification'] },
+  'stripe.com': { from: ['no-reply@stripe.com'], subjects: ['verification code', 'verification'] },
+  'figma.com': { from: ['no-reply@figma.com'], subjects: ['verification code', 'verification'] }
+};
+
+// --- Validate sender mappings (e.g. an imported file) ---
+// Returns { mappings, errors }; mappings keeps only the valid entries
+export function validateSenderMappings(value) {
+  const mappings = {};
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { mappings, errors: ['Sender mappings must be an object of host: { from, subjects }'] };
+  }
+
+  const isStringList = (list) => Array.isArray(list) && list.every(x => typeof x === 'string' && x.trim());
+  for (const [host, entry] of Object.entries(value)) {
+    if (!/^[a-z0-9.-]+$/i.test(host)) {
+      errors.push(`"${host}" is not a host name`);
+    } else if (!entry || !isStringList(entry.from || []) || !isStringList(entry.subjects || [])) {
+      errors.push(`${host}: from and subjects must be lists of text`);
+    } else if ((entry.from || []).length === 0 && (entry.subjects || []).length === 0) {
+      errors.push(`${host}: give at least one sender or subject`);
+    } else if (!(entry.from || []).every(address => address.includes('@'))) {
+      errors.push(`${host}: every sender must be an email address`);
+    } else {
+      mappings[host.toLowerCase()] = {
+        from: (entry.from || []).map(x => x.trim().toLowerCase()),
+        subjects: (entry.subjects || []).map(x => x.trim())
+      };
+    }
+  }
+  return { mappings, errors };
+}
+
+export async function loadSenderMappings() {
+  const { [SENDER_MAPPINGS_KEY]: stored } = await chrome.storage.local.get(SENDER_MAPPINGS_KEY);
+  return stored ? validateSenderMappings(stored).mappings : structuredClone(DEFAULT_SENDER_MAPPINGS);
+}
+
+// Aliases: { keyword: url }. A URL with %s is a template filled with the rest of the
+// query ("; gh foo/bar"); one without matches only the exact keyword ("; oncall").
+export const ALIASES_KEY = 'aliases';
+
+// --- Validate aliases ---
+// Returns { aliases, errors }; aliases keeps only the valid entries
+export function validateAliases(value) {
+  const aliases = {};
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { aliases, errors: ['Aliases must be an object of keyword: URL'] };
+  }
+
+  for (const [keyword, url] of Object.entries(value)) {
+    if (!/^\S+$/.test(keyword)) {
+      errors.push(`"${keyword}" is not a keyword (use a single word)`);
+      continue;
+    }
+    let valid = false;
+    try {
+      valid = typeof url === 'string' && /^https?:$/.test(new URL(url.replaceAll('%s', 'x')).protocol);
+    } catch {
+      // Not a URL
+    }
+    if (!valid) errors.push(`${keyword}: "${url}" is not an http(s) URL`);
+    else aliases[keyword.toLowerCase()] = url.trim();
+  }
+  return { aliases, errors };
+}
+
+export async function loadAliases() {
+  const { [ALIASES_KEY]: stored } = await chrome.storage.local.get(ALIASES_KEY);
+  return validateAliases(stored || {}).aliases;
+}
+
+// Web searches offered when nothing in the index matches well, stored as
+// { default: id, shown: [id], prefixes: { id: prefix }, custom: [{ id, name, url }] }.
+// The default provider's row comes first (Enter uses it) and the other shown providers
+// follow; typing a provider's prefix first ("; gd: budget") searches it directly.
+// No prefixes ship by default: a prefix search outranks everything, so a short word
+// like "g" would hijack queries such as "g suite migration".
+export const SEARCH_PROVIDERS_KEY = 'searchProviders';
+export const BUILTIN_SEARCH_PROVIDERS = [
+  { id: 'google', name: 'Google', url: 'https://www.google.com/search?q=%s' },
+  { id: 'duckduckgo', name: 'DuckDuckGo', url: 'https://duckduckgo.com/?q=%s' },
+  { id: 'github-code', name: 'GitHub code', url: 'https://github.com/search?q=%s&type=code' },
+  { id: 'drive', name: 'Google Drive', url: 'https://drive.google.com/drive/search?q=%s' }
+];
+export const DEFAULT_SEARCH_SETTINGS = {
+  default: 'google',
+  shown: ['google'],
+  prefixes: {},
+  custom: []
+};
+
+// --- Validate a custom search provider ---
+// Returns a list of human-readable problems; empty means the provider is usable
+export function validateSearchProvider(def) {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['Search provider must be an object'];
+  if (!def.name || !String(def.name).trim()) errors.push('Name is required');
+  if (typeof def.url !== 'string' || !def.url.includes('%s')) {
+    errors.push('URL must contain %s where the query goes');
+  } else {
+    try {
+      if (!/^https?:$/.test(new URL(def.url.replaceAll('%s', 'x')).protocol)) errors.push('URL must be http(s)');
+    } catch {
+      errors.push(`"${def.url}" is not a URL`);
+    }
+  }
+  return errors;
+}
+
+// Prefixes are single words, each used by one provider only
+export function validateSearchPrefix(prefixes, id, prefix) {
+  if (!prefix) return [];
+  if (!/^\S+$/.test(prefix)) return ['A prefix must be a single word'];
+  const owner = Object.keys(prefixes).find(other => other !== id && prefixes[other] === prefix);
+  return owner ? [`"${prefix}" is already the prefix of another provider`] : [];
+}
+
+export async function loadSearchSettings() {
+  const { [SEARCH_PROVIDERS_KEY]: stored } = await chrome.storage.local.get(SEARCH_PROVIDERS_KEY);
+  return { ...structuredClone(DEFAULT_SEARCH_SETTINGS), ...stored };
+}
+
+// --- Merge built-in search providers with the stored settings ---
+// Returns [{ id, name, url, builtin, prefix, shown, isDefault }], the default first.
+// Invalid custom providers are skipped; an unknown default falls back to Google.
+export function resolveSearchProviders(stored) {
+  const config = { ...DEFAULT_SEARCH_SETTINGS, ...stored };
+  const providers = [
+    ...BUILTIN_SEARCH_PROVIDERS.map(def => ({ ...def, builtin: true })),
+    ...(config.custom || [])
+      .filter(def => validateSearchProvider(def).length === 0)
+      .map(def => ({ ...def, builtin: false }))
+  ];
+  const defaultId = providers.some(p => p.id === config.default) ? config.default : DEFAULT_SEARCH_SETTINGS.default;
+  const shown = new Set(config.shown || []);
+  return providers
+    .map(def => ({
+      ...def,
+      prefix: config.prefixes?.[def.id] || null,
+      shown: def.id === defaultId || shown.has(def.id),
+      isDefault: def.id === defaultId
+    }))
+    .sort((a, b) => b.isDefault - a.isDefault);
+}
+
+export async function loadMailProviders() {
+  const { [MAIL_PROVIDERS_KEY]: stored } = await chrome.storage.local.get(MAIL_PROVIDERS_KEY);
+  const known = new Set(MAIL_PROVIDERS.map(p => p.id));
+  const providers = (stored || []).filter(id => known.has(id));
+  return providers.length > 0 ? providers : [...DEFAULT_MAIL_PROVIDERS];
+}
+
+export const SETTINGS_SCHEMA = {
+  matchQualityThreshold: {
+    label: 'Match quality threshold',
+    hint: 'Best matches scoring below this fall through to web search. Higher (less negative) is stricter.',
+    default: -15, min: -1000, max: 0
+  },
+  titleWeight: { label: 'Title weight', default: 1.5, min: 0, max: 10 },
+  contentWeight: { label: 'Page content weight', default: 1.0, min: 0, max: 10 },
+  headingsWeight: { label: 'Headings weight', default: 0.8, min: 0, max: 10 },
+  detailsWeight: {
+    label: 'Page details weight',
+    hint: 'GitHub repo description, topics and language, and issue/PR labels and author.',
+    default: 1.0, min: 0, max: 10
+  },
+  urlWeight: { label: 'URL weight', default: 0.5, min: 0, max: 10 },
+  kindWeight: { label: 'Kind weight', default: 0.3, min: 0, max: 10 },
+  clusterBoostBase: {
+    label: 'Cluster boost',
+    hint: 'Maximum boost for items usually open alongside your current tabs.',
+    default: 50, min: 0, max: 1000
+  },
+  verificationCodeBoost: {
+    label: 'Verification code search boost',
+    hint: 'Boost for searching your webmail when the current page asks for an emailed code.',
+    default: 50, min: 0, max: 1000
+  },
+  screenLinkBoost: {
+    label: 'On-screen link boost',
+    hint: 'Boost for the most prominent link on the current page; less prominent links get proportionally less.',
+    default: 10, min: 0, max: 1000
+  },
+  recentlyClosedBoost: {
+    label: 'Recently closed tab boost',
+    hint: 'Boost for reopening a recently closed tab or window that matches the query. It halves for every day since closing.',
+    default: 20, min: 0, max: 1000
+  },
+  frecencyWeight: {
+    label: 'Frecency weight',
+    hint: 'How much often and recently visited pages are boosted. 0 turns frecency off.',
+    default: 1, min: 0, max: 100
+  },
+  frecencyHalfLifeDays: {
+    label: 'Frecency half-life (days)',
+    hint: 'A page last visited this many days ago gets half the boost of one visited today.',
+    default: 14, min: 0.1, max: 365
+  },
+  frecencyTypedBonus: {
+    label: 'Typed visit bonus',
+    hint: 'Extra visits counted for each time a URL was typed into the address bar.',
+    default: 2, min: 0, max: 20
+  },
+  selectionBoost: {
+    label: 'Learned selection boost',
+    hint: 'How much suggestions you picked before for the same query are boosted. 0 turns it off.',
+    default: 5, min: 0, max: 100
+  },
+  selectionHalfLifeDays: {
+    label: 'Learned selection half-life (days)',
+    default: 30, min: 0.1, max: 365
+  },
+  searchLatencyBudgetMs: {
+    label: 'Search time budget per keystroke (ms)',
+    hint: 'Scoring stops after this long; the best index candidates are always scored first.',
+    default: 30, min: 5, max: 1000, integer: true
+  },
+  indexCacheTtlMinutes: {
+    label: 'Index resync interval (minutes)',
+    hint: 'History and bookmark changes apply right away; this often, the index is also resynced with them in the background (nothing is removed by a resync).',
+    default: 5, min: 1, max: 24 * 60, integer: true
+  },
+  snapshotTtlSeconds: {
+    label: 'On-screen snapshot lifetime (seconds)',
+    default: 15, min: 1, max: 600, integer: true
+  },
+  maxSuggestions: {
+    label: 'Maximum suggestions',
+    default: 6, min: 1, max: 10, integer: true
+  }
+};
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+// --- Validate a settings object ---
+// Returns { settings, errors }: settings always holds a full, usable set of values
+export function validateSettings(values) {
+  const settings = { ...DEFAULT_SETTINGS };
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+    if (!values || values[key] === undefined || values[key] === '') continue;
+    const value = Number(values[key]);
+
+    if (!Number.isFinite(value)) {
+      errors.push(`${spec.label} must be a number`);
+    } else if (spec.integer && !Number.isInteger(value)) {
+      errors.push(`${spec.label} must be a whole number`);
+    } else if (value < spec.min || value > spec.max) {
+      errors.push(`${spec.label} must be between ${spec.min} and ${spec.max}`);
+    } else {
+      settings[key] = value;
+    }
+  }
+
+  return { settings, errors };
+}
+
+export async function loadSettings() {
+  const { [SETTINGS_KEY]: stored } = await chrome.storage.local.get(SETTINGS_KEY);
+  return validateSettings(stored).settings;
+}
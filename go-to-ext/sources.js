@@ -0,0 +1,237 @@
+// --- Source registry ---
+// A source describes one family of URLs the index accepts: which hosts it
+// covers, which kind label its items get, how its URLs collapse for dedup
+// and what to show when a page has no title.
+//
+// Sources are plain JSON so user-defined ones can be stored in chrome.storage:
+//   hostPattern    regex (string) tested against the URL hostname
+//   kind           default kind label
+//   kindRules      [{ path, hash?, kind, entity?, titleFallback? }] - the first rule whose
+//                  path regex (and hash regex, if any) matches picks the kind. Entity rules
+//                  (issues, PRs, ...) make the matched text the item's own dedup key, grouped
+//                  under the source's dedup key as parent; a named `number` group is kept as
+//                  the item number. Entity rules with a hash regex key the item by the
+//                  source's dedup key plus the matched fragment (e.g. Docs headings).
+//   dedupRules     [path regex] - the first match (host + matched text) is the dedup key
+//   titleFallback  template with {kind}, {host}, {path}, {number} and {segment:N}
+//                  placeholders (negative N counts from the end)
+//   accountPath    optional regex for a signed-in account path segment (e.g. Google's
+//                  /u/1); its first group is the account. It is dropped before the rules
+//                  above run, so one page visited under two accounts dedupes to one item.
+//   accountParam   optional query parameter naming the account (e.g. authuser)
+
+export const SOURCE_SETTINGS_KEY = 'sourceSettings';
+
+export const BUILTIN_SOURCES = [
+  {
+    id: 'google-docs',
+    name: 'Google Docs',
+    hostPattern: '(^|\\.)docs\\.google\\.com$',
+    kind: 'Google Docs',
+    kindRules: [
+      {
+        path: '^/document/', hash: '^#heading=h\\.[\\w-]+', kind: 'Google Doc section', entity: true,
+        titleFallback: '{kind} of {segment:2}'
+      },
+      { path: '^/document/', kind: 'Google Doc' },
+      { path: '^/spreadsheets/', kind: 'Google Sheet' },
+      { path: '^/presentation/', kind: 'Google Slides' }
+    ],
+    dedupRules: ['/document/d/[^/]+', '/spreadsheets/d/[^/]+', '/presentation/d/[^/]+'],
+    titleFallback: '[{kind}] {segment:2}',
+    accountPath: '/u/(\\d+)(?=/)',
+    accountParam: 'authuser'
+  },
+  {
+    id: 'github',
+    name: 'GitHub',
+    hostPattern: '(^|\\.)github\\.com$',
+    kind: 'GitHub',
+    kindRules: [
+      {
+        path: '^/[^/]+/[^/]+/pull/(?<number>\\d+)', kind: 'GitHub PR', entity: true,
+        titleFallback: '{segment:0}/{segment:1}#{number}'
+      },
+      {
+        path: '^/[^/]+/[^/]+/issues/(?<number>\\d+)', kind: 'GitHub Issue', entity: true,
+        titleFallback: '{segment:0}/{segment:1}#{number}'
+      },
+      {
+        path: '^/[^/]+/[^/]+/discussions/(?<number>\\d+)', kind: 'GitHub Discussion', entity: true,
+        titleFallback: '{segment:0}/{segment:1}#{number}'
+      },
+      {
+        path: '^/[^/]+/[^/]+/actions/runs/(?<number>\\d+)', kind: 'GitHub Actions run', entity: true,
+        titleFallback: '{segment:0}/{segment:1} run {number}'
+      },
+      {
+        path: '^/[^/]+/[^/]+/blob/.+', kind: 'GitHub File', entity: true,
+        titleFallback: '{segment:-1} · {segment:0}/{segment:1}'
+      }
+    ],
+    dedupRules: ['^/[^/]+/[^/]+'],
+    titleFallback: '{segment:0}/{segment:1}'
+  }
+];
+
+// --- Validate a source definition (used by the options page) ---
+// Returns a list of human-readable problems; empty means the source is usable
+export function validateSource(def) {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['Source must be an object'];
+  if (!def.name || !String(def.name).trim()) errors.push('Name is required');
+  if (!def.kind || !String(def.kind).trim()) errors.push('Kind label is required');
+
+  const checkRegex = (pattern, label) => {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (e) {
+      errors.push(`${label} is not a valid regular expression: ${e.message}`);
+    }
+  };
+
+  if (!def.hostPattern || !String(def.hostPattern).trim()) {
+    errors.push('Host pattern is required');
+  } else {
+    checkRegex(def.hostPattern, 'Host pattern');
+  }
+  for (const rule of def.kindRules || []) {
+    if (!rule.kind) errors.push('Kind rules need a kind label');
+    checkRegex(rule.path, `Kind rule "${rule.kind}"`);
+    if (rule.hash) checkRegex(rule.hash, `Kind rule "${rule.kind}" hash`);
+  }
+  for (const rule of def.dedupRules || []) checkRegex(rule, 'Dedup rule');
+  if (def.accountPath) checkRegex(def.accountPath, 'Account path');
+
+  return errors;
+}
+
+// --- Merge built-in sources with stored user settings ---
+// Stored settings look like { disabled: [id, ...], custom: [sourceDef, ...] }
+export function resolveSources(stored) {
+  const disabled = new Set(stored?.disabled || []);
+  const custom = (stored?.custom || []).map(def => ({ ...def, builtin: false }));
+  return [
+    ...BUILTIN_SOURCES.map(def => ({ ...def, builtin: true })),
+    ...custom
+  ].map(def => ({ ...def, enabled: !disabled.has(def.id) }));
+}
+
+// --- Compile source definitions into matchers ---
+// Invalid sources are skipped so one bad custom entry can't break indexing
+export function compileSources(defs) {
+  const compiled = [];
+  for (const def of defs) {
+    try {
+      compiled.push({
+        ...def,
+        hostRe: new RegExp(def.hostPattern, 'i'),
+        kindRes: (def.kindRules || []).map(rule => ({
+          ...rule,
+          re: new RegExp(rule.path, 'i'),
+          hashRe: rule.hash ? new RegExp(rule.hash, 'i') : null
+        })),
+        dedupRes: (def.dedupRules || []).map(rule => new RegExp(rule, 'i')),
+        accountRe: def.accountPath ? new RegExp(def.accountPath, 'i') : null
+      });
+    } catch (e) {
+      console.log(`[Jumpware] Skipping source "${def.name}": ${e.message}`);
+    }
+  }
+  return compiled;
+}
+
+// Prefer enabled sources so a custom source can take over a disabled built-in host
+export function findSource(sources, hostname) {
+  return sources.find(s => s.enabled && s.hostRe.test(hostname)) ||
+         sources.find(s => s.hostRe.test(hostname)) ||
+         null;
+}
+
+// Split the signed-in account off a URL path: { path, account }
+function splitAccount(source, u) {
+  let path = u.pathname;
+  let account = null;
+  const match = source.accountRe ? path.match(source.accountRe) : null;
+  if (match) {
+    account = match[1] ?? null;
+    path = path.replace(match[0], '');
+  }
+  if (source.accountParam && u.searchParams.has(source.accountParam)) {
+    account = u.searchParams.get(source.accountParam);
+  }
+  return { path, account };
+}
+
+// --- Classify a parsed URL against its source ---
+// Returns { kind, key, parent, number, account, path, titleFallback }. key is null if none
+// of the source's dedup rules match; parent is only set for entity rules. path is the
+// pathname without the account segment.
+export function classifyUrl(source, u) {
+  const { path, account } = splitAccount(source, u);
+  let key = null;
+  for (const re of source.dedupRes) {
+    const match = path.match(re);
+    if (match) {
+      key = `${u.protocol}//${u.hostname}${match[0]}`;
+      break;
+    }
+  }
+
+  for (const rule of source.kindRes) {
+    const match = path.match(rule.re);
+    if (!match) continue;
+    const hashMatch = rule.hashRe ? u.hash.match(rule.hashRe) : null;
+    if (rule.hashRe && !hashMatch) continue;
+    const classified = {
+      kind: rule.kind,
+      key,
+      parent: null,
+      number: match.groups?.number || null,
+      account,
+      path,
+      titleFallback: rule.titleFallback || source.titleFallback
+    };
+    if (rule.entity && hashMatch) {
+      const page = key || `${u.protocol}//${u.hostname}${path}`;
+      classified.key = `${page}${hashMatch[0]}`;
+      classified.parent = page;
+    } else if (rule.entity) {
+      classified.key = `${u.protocol}//${u.hostname}${match[0]}`;
+      classified.parent = key;
+    }
+    return classified;
+  }
+
+  return { kind: source.kind, key, parent: null, number: null, account, path, titleFallback: source.titleFallback };
+}
+
+// --- Point a URL at a signed-in account ---
+// account null means the browser's default account; sources without an
+// account parameter are returned unchanged
+export function applyAccount(source, url, account) {
+  if (!source.accountParam) return url;
+  const u = new URL(url);
+  u.pathname = splitAccount(source, u).path;
+  if (account === null) u.searchParams.delete(source.accountParam);
+  else u.searchParams.set(source.accountParam, account);
+  return u.toString();
+}
+
+// Fill a classified URL's title template; null if any placeholder it uses is empty
+export function sourceTitleFallback(classified, u) {
+  if (!classified.titleFallback) return null;
+  const segments = (classified.path ?? u.pathname).split('/').filter(p => p);
+  let missing = false;
+  const title = classified.titleFallback.replace(/\{(kind|host|path|number|segment:(-?\d+))\}/g, (_, name, n) => {
+    let value;
+    if (name === 'kind') value = classified.kind;
+    else if (name === 'host') value = u.hostname;
+    else if (name === 'path') value = classified.path ?? u.pathname;
+    else if (name === 'number') value = classified.number;
+    else value = segments.at(Number(n));
+    if (!value) missing = true;
+    return value || '';
+  });
+  return missing ? null : title;
+}
@@ -0,0 +1,186 @@
+// --- IndexedDB storage for the index and co-occurrence data ---
+// Object stores:
+//   items         one record per index item, keyed by its dedup key
+//   coOccurrence  one record per URL: { [co-occurring URL]: count }, keyed by URL
+//   meta          small values such as the index timestamp, keyed by name
+//
+// Writes are queued and committed together in one transaction shortly after the
+// last change, so a burst of history or bookmark events costs one write.
+
+const DB_NAME = 'jumpware';
+export const SCHEMA_VERSION = 1;
+
+// Schema migrations, run in order from the stored version up to SCHEMA_VERSION
+const MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore('items');
+    db.createObjectStore('coOccurrence');
+    db.createObjectStore('meta');
+  }
+};
+
+// chrome.storage.local keys used before IndexedDB; moved over once, then removed
+const LEGACY_KEYS = ['index', 'index_timestamp', 'urlCoOccurrence'];
+
+const FLUSH_DELAY = 250;
+
+let dbPromise = null;
+const pending = {
+  items: new Map(),        // key -> item, or null to delete
+  coOccurrence: new Map(), // url -> counts, or null to delete
+  meta: new Map(),         // name -> value
+  clear: new Set()         // stores to empty before applying the writes above
+};
+let flushTimeout = null;
+let flushPromise = Promise.resolve();
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion + 1; version <= SCHEMA_VERSION; version++) {
+          MIGRATIONS[version](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// --- Open the database and move data over from chrome.storage.local ---
+// keyOf(item) gives the dedup key for items stored by older versions
+export async function initStorage(keyOf) {
+  const db = await openDatabase();
+  const legacy = await chrome.storage.local.get(LEGACY_KEYS);
+  if (Object.keys(legacy).length === 0) return;
+
+  const tx = db.transaction(['items', 'coOccurrence', 'meta'], 'readwrite');
+  for (const item of legacy.index || []) {
+    if (item && item.url) tx.objectStore('items').put(item, keyOf(item));
+  }
+  for (const [url, counts] of Object.entries(legacy.urlCoOccurrence || {})) {
+    tx.objectStore('coOccurrence').put(counts, url);
+  }
+  if (legacy.index_timestamp) {
+    tx.objectStore('meta').put(legacy.index_timestamp, 'indexTimestamp');
+  }
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+
+  await chrome.storage.local.remove(LEGACY_KEYS);
+  console.log(`[Jumpware] Migrated ${legacy.index?.length || 0} index items to IndexedDB`);
+}
+
+// --- Reads (see pending writes, so they never return stale data) ---
+export async function loadItems() {
+  await flushWrites();
+  const db = await openDatabase();
+  return requestToPromise(db.transaction('items').objectStore('items').getAll());
+}
+
+export async function loadCoOccurrence() {
+  await flushWrites();
+  const db = await openDatabase();
+  const store = db.transaction('coOccurrence').objectStore('coOccurrence');
+  const [urls, counts] = await Promise.all([
+    requestToPromise(store.getAllKeys()),
+    requestToPromise(store.getAll())
+  ]);
+  return Object.fromEntries(urls.map((url, i) => [url, counts[i]]));
+}
+
+export async function loadMeta(name) {
+  await flushWrites();
+  const db = await openDatabase();
+  return requestToPromise(db.transaction('meta').objectStore('meta').get(name));
+}
+
+// --- Queued writes ---
+function scheduleFlush() {
+  if (flushTimeout) clearTimeout(flushTimeout);
+  flushTimeout = setTimeout(() => {
+    flushWrites().catch(e => console.log('[Jumpware] Error writing to IndexedDB:', e));
+  }, FLUSH_DELAY);
+}
+
+export function saveItem(key, item) {
+  pending.items.set(key, item);
+  scheduleFlush();
+}
+
+export function deleteItem(key) {
+  pending.items.set(key, null);
+  scheduleFlush();
+}
+
+export function saveCoOccurrence(url, counts) {
+  pending.coOccurrence.set(url, counts);
+  scheduleFlush();
+}
+
+export function deleteCoOccurrence(url) {
+  pending.coOccurrence.set(url, null);
+  scheduleFlush();
+}
+
+export function clearCoOccurrence() {
+  pending.clear.add('coOccurrence');
+  pending.coOccurrence.clear();
+  scheduleFlush();
+}
+
+export function saveMeta(name, value) {
+  pending.meta.set(name, value);
+  scheduleFlush();
+}
+
+// Commit everything queued so far in one transaction; resolves once it is durable
+export function flushWrites() {
+  if (flushTimeout) clearTimeout(flushTimeout);
+  flushTimeout = null;
+
+  const hasWork = pending.clear.size > 0 || pending.items.size > 0 ||
+                  pending.coOccurrence.size > 0 || pending.meta.size > 0;
+  if (!hasWork) return flushPromise;
+
+  const batch = {
+    items: new Map(pending.items),
+    coOccurrence: new Map(pending.coOccurrence),
+    meta: new Map(pending.meta),
+    clear: new Set(pending.clear)
+  };
+  pending.items.clear();
+  pending.coOccurrence.clear();
+  pending.meta.clear();
+  pending.clear.clear();
+
+  // Chain so batches commit in the order they were queued
+  flushPromise = flushPromise.catch(() => {}).then(async () => {
+    const db = await openDatabase();
+    const tx = db.transaction(['items', 'coOccurrence', 'meta'], 'readwrite');
+    for (const name of batch.clear) tx.objectStore(name).clear();
+    for (const name of ['items', 'coOccurrence', 'meta']) {
+      const store = tx.objectStore(name);
+      for (const [key, value] of batch[name]) {
+        if (value === null) store.delete(key);
+        else store.put(value, key);
+      }
+    }
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  });
+  return flushPromise;
+}